@@ -0,0 +1,37 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Uploads directory (Render persistent disk or local)
+const uploadsDir = process.env.RENDER_DISK_PATH
+  ? path.join(process.env.RENDER_DISK_PATH, 'uploads')
+  : path.join(__dirname, '../uploads');
+
+// Multer writes incoming files here before they are handed to the storage
+// backend. Keeping it under the uploads disk lets the local driver rename
+// instead of copy; express.static ignores dot-directories.
+const incomingDir = process.env.STORAGE_TMP_DIR || path.join(uploadsDir, '.incoming');
+
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    root: uploadsDir,
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most self-hosted S3 servers need path-style addressing
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    prefix: process.env.S3_PREFIX || '',
+  },
+};
+
+export { uploadsDir, incomingDir, storageConfig };
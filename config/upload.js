@@ -0,0 +1,33 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MB = 1024 * 1024;
+
+const parseList = (value, fallback) =>
+  (value || fallback)
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const parseMegabytes = (value, fallback) => {
+  const megabytes = Number(value);
+  return (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : fallback) * MB;
+};
+
+// Allowed formats (as detected from the file's magic bytes, see
+// utils/fileSignature.js) and size limits per upload field
+const uploadRules = {
+  file: {
+    label: 'Audio file',
+    formats: parseList(process.env.UPLOAD_AUDIO_FORMATS, 'mp3,aac,m4a,wav,flac,ogg,opus,aiff'),
+    maxSize: parseMegabytes(process.env.UPLOAD_MAX_AUDIO_MB, 2048),
+  },
+  thumbnail: {
+    label: 'Thumbnail',
+    formats: parseList(process.env.UPLOAD_IMAGE_FORMATS, 'jpeg,png,webp,gif,avif'),
+    maxSize: parseMegabytes(process.env.UPLOAD_MAX_THUMBNAIL_MB, 20),
+  },
+};
+
+export { uploadRules };
@@ -0,0 +1,25 @@
+import asyncHandler from 'express-async-handler';
+import { CHECKSUM_FIELDS, getDuplicatePolicy, listDuplicateGroups } from '../services/duplicateMediaService.js';
+
+// @desc    Groups of tracks with identical audio (or artwork) content
+// @route   GET /api/music/admin/duplicates?kind=audio|thumbnail&page=&limit=
+// @access  Private/Admin
+const getDuplicateGroups = asyncHandler(async (req, res) => {
+  const kind = req.query.kind || 'audio';
+  if (!Object.prototype.hasOwnProperty.call(CHECKSUM_FIELDS, kind)) {
+    return res.status(400).json({ message: `kind must be one of: ${Object.keys(CHECKSUM_FIELDS).join(', ')}` });
+  }
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: 'page must be a positive integer' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ message: 'limit must be an integer between 1 and 100' });
+  }
+
+  const { groups, pagination } = await listDuplicateGroups(kind, { page, limit });
+  res.json({ kind, policy: getDuplicatePolicy(), groups, pagination });
+});
+
+export { getDuplicateGroups };
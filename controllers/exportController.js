@@ -0,0 +1,62 @@
+import { once } from 'events';
+import asyncHandler from 'express-async-handler';
+import { parseCatalogQuery } from '../helpers/musicQueryHelper.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  iterateCatalogExport,
+  toCsvLine,
+} from '../services/catalogExportService.js';
+
+// @desc    Export the catalog as CSV or JSON, streamed in batches
+// @route   GET /api/music/admin/export?format=csv|json (same filters as GET /api/music/admin)
+// @access  Private/Admin
+const exportCatalog = asyncHandler(async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  // Paging parameters don't apply to an export; only the filters are used
+  const { limit, page, cursor, sortBy, order, ...filterQuery } = req.query;
+  const parsed = parseCatalogQuery(filterQuery);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`catalog-export-${date}.${format}`);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+
+  // 'drain' never fires once the client disconnects, so waits end on 'close'
+  const disconnected = new AbortController();
+  res.on('close', () => disconnected.abort());
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain', { signal: disconnected.signal });
+  };
+
+  let count = 0;
+  try {
+    await write(format === 'csv' ? toCsvLine(EXPORT_COLUMNS) : '[');
+    for await (const record of iterateCatalogExport(parsed.options.filters)) {
+      // Stop querying once the client has gone away
+      if (disconnected.signal.aborted) return;
+      if (format === 'csv') {
+        await write(toCsvLine(EXPORT_COLUMNS.map((column) => record[column])));
+      } else {
+        await write(`${count ? ',' : ''}\n${JSON.stringify(record)}`);
+      }
+      count++;
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+    console.log(`Catalog export by admin ${req.user.id}: ${count} track(s) as ${format}`);
+  } catch (error) {
+    if (disconnected.signal.aborted) return;
+    // Headers are already sent; cut the response short so the file is visibly incomplete
+    console.error('Catalog export error:', error);
+    res.destroy(error);
+  }
+});
+
+export { exportCatalog };
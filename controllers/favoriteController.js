@@ -0,0 +1,104 @@
+import asyncHandler from 'express-async-handler';
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import Favorite from '../models/Favorite.js';
+import {
+  publishedWhere,
+  categoryInclude,
+  formatMusic,
+  attachHlsAvailability,
+} from '../helpers/musicQueryHelper.js';
+import { addFavorite, removeFavorite } from '../services/favoriteService.js';
+
+// Listeners can only like (and list) published tracks; admins see everything
+const isAdmin = (req) => req.user.role === 'admin';
+
+// @desc    List the caller's favorite tracks, most recently liked first
+// @route   GET /api/favorites
+// @access  Private
+// @query   page, limit (max 100)
+const getFavorites = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ message: 'limit must be an integer between 1 and 100' });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: 'page must be a positive integer' });
+  }
+
+  // Trashed tracks are left out by the paranoid include
+  const { count, rows } = await Favorite.findAndCountAll({
+    where: { userId: req.user.id },
+    include: [
+      {
+        model: Music,
+        as: 'music',
+        required: true,
+        ...(!isAdmin(req) && { where: publishedWhere() }),
+        include: [categoryInclude],
+      },
+    ],
+    order: [
+      ['createdAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true,
+  });
+
+  const items = rows.map((favorite) => favorite.music);
+  await attachHlsAvailability(items);
+  res.json({
+    music: rows.map((favorite) => ({
+      ...formatMusic(Object.assign(favorite.music, { isFavorite: true }), { userId: req.user.id }),
+      favoritedAt: favorite.createdAt,
+    })),
+    pagination: {
+      total: count,
+      limit,
+      page,
+      totalPages: Math.ceil(count / limit),
+      hasMore: page * limit < count,
+      nextPage: page * limit < count ? page + 1 : null,
+    },
+  });
+});
+
+// @desc    Like a track (liking it again has no effect)
+// @route   POST /api/favorites/:musicId
+// @access  Private
+const likeMusic = asyncHandler(async (req, res) => {
+  const music = await Music.findOne({
+    where: isAdmin(req)
+      ? { id: req.params.musicId }
+      : { [Op.and]: [{ id: req.params.musicId }, publishedWhere()] },
+    attributes: ['id'],
+  });
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const { favorite, created } = await addFavorite(req.user.id, music.id);
+  res.status(created ? 201 : 200).json({
+    musicId: music.id,
+    isFavorite: true,
+    favoritedAt: favorite.createdAt,
+  });
+});
+
+// @desc    Unlike a track (works for tracks that are no longer available)
+// @route   DELETE /api/favorites/:musicId
+// @access  Private
+const unlikeMusic = asyncHandler(async (req, res) => {
+  const musicId = Number(req.params.musicId);
+  if (!Number.isInteger(musicId) || musicId < 1) {
+    return res.status(400).json({ message: 'Invalid music id' });
+  }
+  const removed = await removeFavorite(req.user.id, musicId);
+  res.json({ musicId, isFavorite: false, removed });
+});
+
+export { getFavorites, likeMusic, unlikeMusic };
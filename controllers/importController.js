@@ -0,0 +1,59 @@
+import asyncHandler from 'express-async-handler';
+import {
+  openImportArchive,
+  readManifest,
+  validateImportRows,
+  commitImport,
+  summarizeImport,
+} from '../services/catalogImportService.js';
+import UploadError from '../utils/uploadError.js';
+
+// @desc    Bulk import tracks from a ZIP of audio/artwork and a CSV/JSON manifest
+// @route   POST /api/music/import (multipart: archive, manifest?, dryRun?)
+// @access  Private/Admin
+const importCatalog = asyncHandler(async (req, res) => {
+  const archiveFile = req.files?.archive?.[0];
+  if (!archiveFile) {
+    return res.status(400).json({ message: 'archive (ZIP file) is required' });
+  }
+  // Preview unless dryRun is explicitly false
+  const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+  let archive;
+  try {
+    archive = await openImportArchive(archiveFile.path);
+    const rows = await readManifest(archive, req.files?.manifest?.[0]);
+    const report = await validateImportRows(rows, archive);
+    const valid = report.every((item) => item.status === 'valid');
+
+    if (dryRun || !valid) {
+      return res.status(dryRun ? 200 : 422).json({
+        dryRun,
+        valid,
+        ...(!dryRun && { message: 'Import not started: fix the invalid rows and try again' }),
+        summary: summarizeImport(report),
+        rows: report,
+      });
+    }
+
+    const { error } = await commitImport(report, archive, req.user.id);
+    console.log(`Catalog import by admin ${req.user.id}: ${error || `${report.length} track(s) created`}`);
+    res.status(error ? 422 : 201).json({
+      dryRun,
+      valid: !error,
+      ...(error && { message: error }),
+      summary: summarizeImport(report),
+      rows: report,
+    });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Catalog import error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  } finally {
+    archive?.zipfile.close();
+  }
+});
+
+export { importCatalog };
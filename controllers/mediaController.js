@@ -0,0 +1,67 @@
+import asyncHandler from 'express-async-handler';
+import { sendStoredFile } from '../helpers/mediaStreamHelper.js';
+import { getStorageKey } from '../services/storageService.js';
+import { buildIntegrityReport, collectOrphanedMedia, isLiveTrackMedia } from '../services/mediaIntegrityService.js';
+
+// @desc    Serve a stored media file by key (target of local-driver signed URLs)
+// @route   GET /api/media/:key
+// @access  Signed URL
+const getMediaFile = asyncHandler(async (req, res) => {
+  const key = getStorageKey(req.params.key);
+  // Signed URLs outlive the track; stop serving its files once it is deleted
+  const live = key && (await isLiveTrackMedia(key));
+  if (!live || !(await sendStoredFile(req, res, key))) {
+    res.status(404);
+    throw new Error('File not found');
+  }
+});
+
+const parseGracePeriod = (value) => {
+  if (value === undefined || value === '') return { gracePeriodHours: undefined };
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0) {
+    return { error: 'gracePeriodHours must be a non-negative number' };
+  }
+  return { gracePeriodHours: hours };
+};
+
+// @desc    Report orphaned media files and rows pointing at missing files
+// @route   GET /api/media/admin/integrity?gracePeriodHours=
+// @access  Private/Admin
+const getIntegrityReport = asyncHandler(async (req, res) => {
+  try {
+    const { gracePeriodHours, error } = parseGracePeriod(req.query.gracePeriodHours);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json(await buildIntegrityReport({ gracePeriodHours }));
+  } catch (error) {
+    console.error('Error building integrity report:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @desc    Delete orphaned media older than the grace period (dry run unless dryRun is false)
+// @route   POST /api/media/admin/integrity/cleanup
+// @access  Private/Admin
+const cleanupOrphanedMedia = asyncHandler(async (req, res) => {
+  try {
+    const { gracePeriodHours, error } = parseGracePeriod(req.body?.gracePeriodHours);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const dryRun = req.body?.dryRun !== false && req.body?.dryRun !== 'false';
+    const result = await collectOrphanedMedia({ dryRun, gracePeriodHours });
+    console.log(
+      `Media cleanup by admin ${req.user.id}: ${dryRun ? 'dry run' : 'deleted'} ${
+        dryRun ? result.candidates.length : result.deleted.length
+      } orphan(s)`,
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error cleaning up orphaned media:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+export { getMediaFile, getIntegrityReport, cleanupOrphanedMedia };
@@ -3,42 +3,115 @@ import Music from '../models/Music.js';
 import Category from '../models/Category.js';
 import asyncHandler from 'express-async-handler';
 import { Op } from 'sequelize';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 dotenv.config();
-import sanitizeHtml from 'sanitize-html';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import path from 'path';
+import {
+  parseCatalogQuery,
+  queryCatalog,
+  formatMusic,
+  publishedWhere,
+  categoryInclude,
+  attachHlsAvailability,
+} from '../helpers/musicQueryHelper.js';
+import { tokenizeSearchQuery, searchCatalog, buildHighlights } from '../helpers/musicSearchHelper.js';
+import { sendStoredFile } from '../helpers/mediaStreamHelper.js';
+import { buildMasterPlaylist, signVariantPlaylist, getVariantName } from '../helpers/hlsPlaylistHelper.js';
+import {
+  getStorageKey,
+  persistUpload,
+  readStoredFile,
+} from '../services/storageService.js';
+import {
+  THUMBNAIL_FORMATS,
+  processUploadedThumbnail,
+} from '../services/thumbnailService.js';
+import UploadError from '../utils/uploadError.js';
+import sanitizeText from '../utils/sanitizeText.js';
+import { getAudioMetadataFields } from '../services/audioMetadataService.js';
+import {
+  getPlanForUser,
+  getProfileForPlan,
+  getMaxBitrateForPlan,
+  selectRendition,
+  findHlsPackage,
+  findWaveform,
+  queueTranscodes,
+  deleteRenditions,
+} from '../services/transcodeService.js';
+import {
+  describeUploadedFile,
+  recordFileVersion,
+  ensureBaselineVersion,
+  pruneFileVersions,
+} from '../services/mediaVersionService.js';
+import { getPurgeDate } from '../services/musicTrashService.js';
+import { attachFavoriteFlags, attachFavoriteCounts } from '../services/favoriteService.js';
+import { attachPlayCounts } from '../services/playStatsService.js';
+import {
+  getDuplicatePolicy,
+  findTracksByChecksum,
+  summarizeDuplicate,
+} from '../services/duplicateMediaService.js';
+
+// Validate and resize an uploaded thumbnail, then store the cleaned original.
+// Must run before any other upload is persisted so a rejected image leaves
+// nothing behind. `version` is the stored image's checksum and size.
+const storeThumbnail = async (thumbnailFile) => {
+  const thumbnails = await processUploadedThumbnail(thumbnailFile);
+  const version = await describeUploadedFile(thumbnailFile);
+  return {
+    data: { thumbnailUrl: await persistUpload(thumbnailFile), thumbnails, thumbnailChecksum: version.checksum },
+    version,
+  };
+};
 
-// Get uploads directory path (Render persistent disk or local)
-const getUploadsPath = () => {
-  return process.env.RENDER_DISK_PATH 
-    ? path.join(process.env.RENDER_DISK_PATH, 'uploads')
-    : path.join(__dirname, '../uploads');
+// Track visible to the caller: admins can reach unpublished tracks
+const findPlayableMusic = (req) =>
+  Music.findOne({
+    where:
+      req.user?.role === 'admin'
+        ? { id: req.params.id }
+        : { [Op.and]: [{ id: req.params.id }, publishedWhere()] },
+  });
+
+// Audio file to serve: the best ready rendition the caller's plan allows, or
+// the master while none is ready. Admins get the master unless they ask for a
+// profile with ?rendition=.
+const resolveAudioFile = async (req, music, plan) => {
+  const profile = req.user.role === 'admin' ? req.query.rendition : getProfileForPlan(plan);
+  const rendition = profile ? await selectRendition(music.id, profile) : null;
+  return rendition
+    ? { key: getStorageKey(rendition.fileUrl), name: rendition.profile }
+    : { key: getStorageKey(music.fileUrl), name: 'original' };
 };
 
-// Plain-text sanitizer for freeform text fields
-function sanitizeText(input = '') {
-  const trimmed = typeof input === 'string' ? input.trim() : '';
-  if (!trimmed) return '';
-  return sanitizeHtml(trimmed, { allowedTags: [], allowedAttributes: {} });
-}
-
-// Security: Validate and sanitize filename
-const sanitizeFilename = (filename) => {
-  if (!filename || typeof filename !== 'string') {
-    return null;
+// Shared catalog listing for the public and admin routes. The admin scope
+// includes scheduled and draft tracks and reports each track's status,
+// favorite count and play counts. Signed-in callers see which tracks they
+// have liked.
+const listCatalog = async (req, res, { scope, categoryId }) => {
+  const { options, error } = parseCatalogQuery(
+    categoryId === undefined ? req.query : { ...req.query, categoryId },
+  );
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const { items, pagination } = await queryCatalog(options, scope);
+  await attachHlsAvailability(items);
+  await attachFavoriteFlags(items, req.user?.id);
+  if (scope === 'admin') {
+    await attachFavoriteCounts(items);
+    await attachPlayCounts(items);
   }
-  // Remove any path separators and directory traversal attempts
-  const sanitized = path.basename(filename);
-  // Only allow alphanumeric, dash, underscore, and dot
-  if (!/^[a-zA-Z0-9._-]+$/.test(sanitized)) {
-    return null;
+
+  if (categoryId !== undefined && !pagination.total) {
+    return res.status(404).json({ message: 'No music found for this category' });
   }
-  return sanitized;
+
+  const userId = req.user?.id;
+  res.json({ music: items.map((music) => formatMusic(music, { scope, userId })), pagination });
 };
 
 // @desc    Get music by category
@@ -46,124 +119,314 @@ const sanitizeFilename = (filename) => {
 // @access  Public
 const getMusicByCategory = asyncHandler(async (req, res) => {
   try {
-    const { categoryId } = req.params;
+    await listCatalog(req, res, { scope: 'public', categoryId: req.params.categoryId });
+  } catch (error) {
+    console.error('Error in getMusicByCategory:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+// @desc    Get published music with category and type details (paginated, filterable, sortable)
+// @route   GET /api/music
+// @access  Public
+// @query   page, limit, cursor, sortBy (title|createdAt|duration|publishDate), order (asc|desc),
+//          categoryId, categoryType, artist, minDuration, maxDuration, publishedFrom, publishedTo
+const getMusic = asyncHandler(async (req, res) => {
+  try {
+    await listCatalog(req, res, { scope: 'public' });
+  } catch (error) {
+    console.error('Error in getMusic:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
 
-    const musicList = await Music.findAll({
-      where: { categoryId },
-      include: [{
-        model: Category,
-        as: 'category',
-        attributes: ['id', 'name', 'description', 'types']
-      }]
-    });
+// @desc    Get all music including scheduled and draft tracks, with publish status
+// @route   GET /api/music/admin
+// @access  Private/Admin
+// @query   Same as GET /api/music, plus status (scheduled|published|draft)
+const getAdminMusic = asyncHandler(async (req, res) => {
+  try {
+    await listCatalog(req, res, { scope: 'admin' });
+  } catch (error) {
+    console.error('Error in getAdminMusic:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
 
-    if (!musicList.length) {
-      return res.status(404).json({ message: 'No music found for this category' });
+// @desc    Get all music in a category including scheduled and draft tracks
+// @route   GET /api/music/admin/category/:categoryId
+// @access  Private/Admin
+const getAdminMusicByCategory = asyncHandler(async (req, res) => {
+  try {
+    await listCatalog(req, res, { scope: 'admin', categoryId: req.params.categoryId });
+  } catch (error) {
+    console.error('Error in getAdminMusicByCategory:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @desc    List upcoming scheduled releases grouped by publish date
+// @route   GET /api/music/admin/upcoming?days=
+// @access  Private/Admin
+const getUpcomingReleases = asyncHandler(async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ message: 'days must be an integer between 1 and 365' });
     }
 
-    const musicWithUrls = musicList.map((music) => {
-      // Always return relative URLs so clients can prepend their own base
-      const fileName = music.fileUrl ? path.basename(music.fileUrl) : null;
-      const thumbnailName = music.thumbnailUrl ? path.basename(music.thumbnailUrl) : null;
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const musicList = await Music.findAll({
+      where: { publishDate: { [Op.gt]: now, [Op.lte]: until } },
+      include: [categoryInclude],
+      order: [
+        ['publishDate', 'ASC'],
+        ['id', 'ASC'],
+      ],
+    });
 
-      let categoryTypeDetails = null;
-      if (music.category && music.categoryType && music.category.types) {
-        categoryTypeDetails = music.category.types.find(
-          (type) => type._id.toString() === music.categoryType.toString(),
-        );
+    await attachHlsAvailability(musicList);
+    const releases = [];
+    for (const music of musicList) {
+      const date = new Date(music.publishDate).toISOString().slice(0, 10);
+      let group = releases[releases.length - 1];
+      if (!group || group.date !== date) {
+        group = { date, music: [] };
+        releases.push(group);
       }
+      group.music.push(formatMusic(music, { scope: 'admin', userId: req.user.id }));
+    }
 
-      return {
-        ...music._doc,
-        fileUrl: fileName ? `/uploads/${fileName}` : null,
-        thumbnailUrl: thumbnailName ? `/uploads/${thumbnailName}` : null,
-        category: music.category
-          ? {
-              _id: music.category._id,
-              name: music.category.name,
-              description: music.category.description,
-            }
-          : null,
-        categoryType: categoryTypeDetails || null,
-      };
-    });
-
-    res.json(musicWithUrls);
+    res.json({ from: now, until, total: musicList.length, releases });
   } catch (error) {
-    console.error('Error in getMusicByCategory:', error);
+    console.error('Error in getUpcomingReleases:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
-// @desc    Get all music with category and type details
-// @route   GET /api/music
+
+// @desc    Search music by title, artist, description, category and type names
+// @route   GET /api/music/search?q=
 // @access  Public
-// controllers/musicController.js
-const getMusic = asyncHandler(async (req, res) => {
+const searchMusic = asyncHandler(async (req, res) => {
   try {
-    const musicList = await Music.findAll({
-      include: [{
-        model: Category,
-        as: 'category',
-        attributes: ['id', 'name', 'description', 'types']
-      }]
-    });
+    const terms = tokenizeSearchQuery(req.query.q);
+    if (!terms.length) {
+      return res.status(400).json({ message: 'Search query (q) is required' });
+    }
 
-    const musicWithUrls = musicList.map((music) => {
-      // Always return relative URLs so clients can prepend their own base
-      const fileName = music.fileUrl ? path.basename(music.fileUrl) : null;
-      const thumbnailName = music.thumbnailUrl ? path.basename(music.thumbnailUrl) : null;
-
-      // Safely handle categoryType lookup
-      let categoryTypeDetails = null;
-      if (music.category && music.categoryType && music.category.types) {
-        categoryTypeDetails = music.category.types.find(
-          (type) => type.id == music.categoryType,
-        );
-      }
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ message: 'limit must be an integer between 1 and 50' });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ message: 'page must be a positive integer' });
+    }
 
-      return {
-        ...music.toJSON(),
-        fileUrl: fileName ? `/uploads/${fileName}` : null,
-        thumbnailUrl: thumbnailName ? `/uploads/${thumbnailName}` : null,
-        publishDate: music.publishDate,
-        category: music.category
-          ? {
-              id: music.category.id,
-              name: music.category.name,
-              description: music.category.description,
-            }
-          : null, // Handle null category
-        categoryType: categoryTypeDetails || {
-          id: parseInt(music.categoryType) || 0,
-          name: 'Unknown',
-          description: ''
-        },
-      };
+    const { items, pagination } = await searchCatalog({
+      terms,
+      limit,
+      page,
+      where: publishedWhere(),
     });
+    await attachHlsAvailability(items);
 
-    res.json(musicWithUrls);
+    res.json({
+      query: terms.join(' '),
+      music: items.map((music) => ({
+        ...formatMusic(music, { userId: req.user?.id }),
+        relevance: Number(music.get('relevance')) || 0,
+        highlights: buildHighlights(music, terms),
+      })),
+      pagination,
+    });
   } catch (error) {
-    console.error('Error in getMusic:', error);
+    console.error('Error in searchMusic:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
 
+// @desc    Stream a track's audio with Range/If-Range support
+// @route   GET /api/music/:id/stream
+// @access  Private (active subscription; admins can preview unpublished tracks)
+const streamMusic = asyncHandler(async (req, res) => {
+  const music = await findPlayableMusic(req);
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const plan = req.user.role === 'admin' ? null : await getPlanForUser(req.user);
+  const audio = await resolveAudioFile(req, music, plan);
+  res.setHeader('X-Audio-Rendition', audio.name);
+  if (!(await sendStoredFile(req, res, audio.key))) {
+    res.status(404);
+    throw new Error('Audio file not found');
+  }
+});
+
+// @desc    Download a track's audio in the caller's plan quality
+// @route   GET /api/music/:id/download
+// @access  Private (active subscription on a plan with offline downloads)
+const downloadMusic = asyncHandler(async (req, res) => {
+  const music = await findPlayableMusic(req);
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const plan = req.user.role === 'admin' ? null : await getPlanForUser(req.user);
+  if (plan && /^no/i.test(plan.offlineDownloads || '')) {
+    res.status(403);
+    throw new Error('Your plan does not include offline downloads');
+  }
+
+  const audio = await resolveAudioFile(req, music, plan);
+  const extension = audio.key ? path.extname(audio.key) : '';
+  const filename = `${music.artist} - ${music.title}`.replace(/[^\w\s.-]/g, '').trim() || `track-${music.id}`;
+  res.setHeader('X-Audio-Rendition', audio.name);
+  res.attachment(`${filename}${extension}`);
+  if (!(await sendStoredFile(req, res, audio.key))) {
+    res.removeHeader('Content-Disposition');
+    res.status(404);
+    throw new Error('Audio file not found');
+  }
+});
+
+// HLS variants the caller may play, lowest bitrate first. The lowest is always
+// allowed so every subscriber can play something.
+const getAllowedHlsVariants = async (req, hlsPackage) => {
+  const plan = req.user.role === 'admin' ? null : await getPlanForUser(req.user);
+  const maxBitrate = getMaxBitrateForPlan(plan);
+  const variants = [...(hlsPackage.variants || [])].sort((a, b) => a.bitrate - b.bitrate);
+  return variants.filter((variant, index) => index === 0 || variant.bitrate <= maxBitrate);
+};
+
+const sendPlaylist = (res, body) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.type('application/vnd.apple.mpegurl').send(body);
+};
+
+// @desc    HLS master playlist with variant URLs signed for the caller
+// @route   GET /api/music/:id/hls/master.m3u8
+// @access  Private (active subscription; admins can preview unpublished tracks)
+const getHlsMasterPlaylist = asyncHandler(async (req, res) => {
+  const music = await findPlayableMusic(req);
+  const hlsPackage = music && (await findHlsPackage(music.id));
+  if (!hlsPackage) {
+    res.status(404);
+    throw new Error('HLS stream not available');
+  }
+
+  const variants = await getAllowedHlsVariants(req, hlsPackage);
+  sendPlaylist(res, buildMasterPlaylist(music, variants, { userId: req.user.id }));
+});
+
+// @desc    HLS variant playlist with segment URLs signed for the caller
+// @route   GET /api/music/:id/hls/:variant.m3u8
+// @access  Private (active subscription; admins can preview unpublished tracks)
+const getHlsVariantPlaylist = asyncHandler(async (req, res) => {
+  const music = await findPlayableMusic(req);
+  const hlsPackage = music && (await findHlsPackage(music.id));
+  const variant = hlsPackage
+    ? (await getAllowedHlsVariants(req, hlsPackage)).find((item) => getVariantName(item) === req.params.variant)
+    : null;
+  if (!variant) {
+    res.status(404);
+    throw new Error('HLS variant not available');
+  }
+
+  const playlist = (await readStoredFile(variant.playlist)).toString('utf8');
+  sendPlaylist(res, signVariantPlaylist(music, playlist, { userId: req.user.id }));
+});
+
+// @desc    Serve an HLS segment
+// @route   GET /api/music/:id/hls/segments/:segment
+// @access  Signed URL (issued by the variant playlist)
+const getHlsSegment = asyncHandler(async (req, res) => {
+  const key = getStorageKey(req.params.segment);
+  // Segment URLs outlive the playlist; stop serving them once the track is deleted
+  const exists = key && key.endsWith('.ts') && (await Music.count({ where: { id: req.params.id } }));
+  if (!exists || !(await sendStoredFile(req, res, key))) {
+    res.status(404);
+    throw new Error('Segment not found');
+  }
+});
+
+// @desc    Waveform peaks (audiowaveform JSON) at the closest stored resolution
+// @route   GET /api/music/:id/waveform?resolution=
+// @access  Signed URL or authenticated user
+const getMusicWaveform = asyncHandler(async (req, res) => {
+  const requested = req.query.resolution === undefined ? null : Number(req.query.resolution);
+  if (requested !== null && (!Number.isInteger(requested) || requested < 1)) {
+    res.status(400);
+    throw new Error('resolution must be a positive integer');
+  }
+
+  const music = await findPlayableMusic(req);
+  const waveform = music && (await findWaveform(music.id));
+  if (!waveform) {
+    res.status(404);
+    throw new Error('Waveform not available');
+  }
+
+  // Smallest stored resolution covering the request, else the largest
+  const variants = [...(waveform.variants || [])].sort((a, b) => a.resolution - b.resolution);
+  const variant = (requested && variants.find((item) => item.resolution >= requested)) || variants[variants.length - 1];
+  if (!variant || !(await sendStoredFile(req, res, variant.file))) {
+    res.status(404);
+    throw new Error('Waveform not available');
+  }
+});
+
+// @desc    Serve a track's thumbnail artwork
+// @route   GET /api/music/:id/thumbnail
+// @access  Signed URL or authenticated user
+const getMusicThumbnail = asyncHandler(async (req, res) => {
+  const music = await Music.findByPk(req.params.id, { attributes: ['id', 'thumbnailUrl'] });
+  if (!music || !(await sendStoredFile(req, res, getStorageKey(music.thumbnailUrl)))) {
+    res.status(404);
+    throw new Error('Thumbnail not found');
+  }
+});
+
+// @desc    Serve one resized rendition of a track's thumbnail
+// @route   GET /api/music/:id/thumbnails/:size.:format
+// @access  Signed URL or authenticated user
+const getMusicThumbnailRendition = asyncHandler(async (req, res) => {
+  const { size, format } = req.params;
+  if (!THUMBNAIL_FORMATS[format]) {
+    res.status(400);
+    throw new Error(`Format must be one of: ${Object.keys(THUMBNAIL_FORMATS).join(', ')}`);
+  }
+
+  const music = await Music.findByPk(req.params.id, { attributes: ['id', 'thumbnails'] });
+  const renditionUrl = music?.thumbnails?.[size]?.[format];
+  if (!renditionUrl || !(await sendStoredFile(req, res, getStorageKey(renditionUrl)))) {
+    res.status(404);
+    throw new Error('Thumbnail not found');
+  }
+});
+
 // @desc    Create new music with file and thumbnail upload
 // @route   POST /api/music/create
 // @access  Private/Admin
 const createMusic = asyncHandler(async (req, res) => {
   const {
-    title,
-    artist,
     category,
     categoryType,
-    duration,
     releaseDate,
     publishDate,
     description: rawDescription,
   } = req.body;
   const audioFile = req.files?.file?.[0];
   const thumbnailFile = req.files?.thumbnail?.[0];
+  const audioMetadata = audioFile?.metadata;
+
+  // Prefer the probed duration and fill blank title/artist from embedded tags
+  const title = req.body.title || audioMetadata?.title;
+  const artist = req.body.artist || audioMetadata?.artist;
+  const duration = audioMetadata?.duration || req.body.duration;
 
   // Validate required fields
   const missingFields = [];
@@ -189,24 +452,40 @@ const createMusic = asyncHandler(async (req, res) => {
         .status(400)
         .json({ message: 'Description must be 1000 characters or fewer' });
     }
+    // Look for the same audio content before anything is stored
+    const audioVersion = await describeUploadedFile(audioFile);
+    const duplicates = await findTracksByChecksum('audio', audioVersion.checksum);
+    const allowDuplicate = req.body.allowDuplicate === true || req.body.allowDuplicate === 'true';
+    if (duplicates.length && getDuplicatePolicy() === 'reject' && !allowDuplicate) {
+      return res.status(409).json({
+        message: 'This audio file is already in the catalog. Send allowDuplicate=true to upload it anyway',
+        duplicates: duplicates.map(summarizeDuplicate),
+      });
+    }
+
+    const thumbnail = thumbnailFile ? await storeThumbnail(thumbnailFile) : null;
     const musicData = {
       title,
       artist,
       categoryId: category,
       categoryType: categoryType, // Always set since validated
-      fileUrl: `/uploads/${audioFile.filename}`,
+      fileUrl: await persistUpload(audioFile),
+      audioChecksum: audioVersion.checksum,
       duration: Number(duration),
       releaseDate: new Date(releaseDate),
       publishDate: publishDate ? new Date(publishDate) : null,
       userId: req.user.id,
       description,
+      ...getAudioMetadataFields(audioMetadata),
+      ...thumbnail?.data,
     };
 
-    if (thumbnailFile) {
-      musicData.thumbnailUrl = `/uploads/${thumbnailFile.filename}`;
-    }
-
     const music = await Music.create(musicData);
+    await recordFileVersion(music, 'audio', { ...audioVersion, userId: req.user.id });
+    if (thumbnail) {
+      await recordFileVersion(music, 'thumbnail', { ...thumbnail.version, userId: req.user.id });
+    }
+    await queueTranscodes(music.id);
     const populatedMusic = await Music.findByPk(music.id, {
       include: [{
         model: Category,
@@ -214,8 +493,17 @@ const createMusic = asyncHandler(async (req, res) => {
         attributes: ['id', 'name', 'description']
       }]
     });
-    res.status(201).json(populatedMusic);
+    res.status(201).json({
+      ...populatedMusic.toJSON(),
+      ...(duplicates.length && {
+        warning: 'The same audio file is already in the catalog',
+        duplicates: duplicates.map(summarizeDuplicate),
+      }),
+    });
   } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Create music error:', error);
     res.status(500).json({
       message: 'Server Error',
@@ -235,18 +523,31 @@ const updateMusic = asyncHandler(async (req, res) => {
       return res.status(404).json({ message: 'Music not found' });
     }
 
+    // Handle file uploads (if provided)
+    const audioFile = req.files?.file?.[0];
+    const thumbnailFile = req.files?.thumbnail?.[0];
+    const replacesAudio = Boolean(audioFile || req.body.fileUrl);
+    const replacesThumbnail = Boolean(thumbnailFile || req.body.thumbnailUrl);
+
+    // Reject a bad image before anything else is persisted
+    const thumbnail = thumbnailFile ? await storeThumbnail(thumbnailFile) : null;
+
+    // Replaced files are kept as versions; make sure the outgoing ones are recorded
+    if (replacesAudio) await ensureBaselineVersion(music, 'audio');
+    if (replacesThumbnail) await ensureBaselineVersion(music, 'thumbnail');
+
     // Allow direct URL updates (admin metadata fix without re-uploading files)
     if (req.body.fileUrl) {
       music.fileUrl = req.body.fileUrl;
+      music.audioChecksum = null;
     }
     if (req.body.thumbnailUrl) {
+      // Renditions belong to the previous image (they stay with its version)
       music.thumbnailUrl = req.body.thumbnailUrl;
+      music.thumbnails = null;
+      music.thumbnailChecksum = null;
     }
 
-    // Handle file uploads (if provided)
-    const audioFile = req.files?.file?.[0];
-    const thumbnailFile = req.files?.thumbnail?.[0];
-
     // Update fields
     music.title = req.body.title || music.title;
     music.artist = req.body.artist || music.artist;
@@ -274,33 +575,42 @@ const updateMusic = asyncHandler(async (req, res) => {
       music.description = description;
     }
 
+    const audioVersion = audioFile ? await describeUploadedFile(audioFile) : {};
     if (audioFile) {
-      if (music.fileUrl) {
-        const sanitizedFileName = sanitizeFilename(path.basename(music.fileUrl));
-        if (sanitizedFileName) {
-          const oldFilePath = path.join(getUploadsPath(), sanitizedFileName);
-          if (fs.existsSync(oldFilePath)) {
-            fs.unlinkSync(oldFilePath);
-          }
-        }
+      music.fileUrl = await persistUpload(audioFile);
+      music.audioChecksum = audioVersion.checksum;
+      Object.assign(music, getAudioMetadataFields(audioFile.metadata));
+      if (audioFile.metadata?.duration) {
+        music.duration = audioFile.metadata.duration;
       }
-      music.fileUrl = `/uploads/${audioFile.filename}`;
     }
 
-    if (thumbnailFile) {
-      if (music.thumbnailUrl) {
-        const sanitizedThumbName = sanitizeFilename(path.basename(music.thumbnailUrl));
-        if (sanitizedThumbName) {
-          const oldThumbPath = path.join(getUploadsPath(), sanitizedThumbName);
-          if (fs.existsSync(oldThumbPath)) {
-            fs.unlinkSync(oldThumbPath);
-          }
-        }
-      }
-      music.thumbnailUrl = `/uploads/${thumbnailFile.filename}`;
+    if (thumbnail) {
+      Object.assign(music, thumbnail.data);
     }
 
+    const masterChanged = music.changed('fileUrl');
+    const thumbnailChanged = music.changed('thumbnailUrl');
     const updatedMusic = await music.save();
+
+    const versionNotes = req.body.versionNotes ? sanitizeText(req.body.versionNotes) : null;
+    if (masterChanged) {
+      await recordFileVersion(music, 'audio', { ...audioVersion, userId: req.user.id, notes: versionNotes });
+      await pruneFileVersions(music.id, 'audio');
+    }
+    if (thumbnailChanged) {
+      await recordFileVersion(music, 'thumbnail', {
+        ...thumbnail?.version,
+        userId: req.user.id,
+        notes: versionNotes,
+      });
+      await pruneFileVersions(music.id, 'thumbnail');
+    }
+    // Renditions were made from the previous master
+    if (masterChanged) {
+      await deleteRenditions(music.id);
+      await queueTranscodes(music.id);
+    }
     const populatedMusic = await Music.findByPk(updatedMusic.id, {
       include: [{
         model: Category,
@@ -310,6 +620,9 @@ const updateMusic = asyncHandler(async (req, res) => {
     });
     res.json(populatedMusic);
   } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Update error:', error);
     res.status(500).json({
       message: 'Server Error',
@@ -318,7 +631,7 @@ const updateMusic = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Delete music
+// @desc    Delete music (moves it to the trash; files are purged after the retention period)
 // @route   DELETE /api/music/:id
 // @access  Private/Admin
 const deleteMusic = asyncHandler(async (req, res) => {
@@ -328,24 +641,14 @@ const deleteMusic = asyncHandler(async (req, res) => {
     throw new Error('Music not found');
   }
 
-  // Clean up files
-  if (music.fileUrl) {
-    const sanitizedFileName = sanitizeFilename(path.basename(music.fileUrl));
-    if (sanitizedFileName) {
-      const filePath = path.join(getUploadsPath(), sanitizedFileName);
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    }
-  }
-  if (music.thumbnailUrl) {
-    const sanitizedThumbName = sanitizeFilename(path.basename(music.thumbnailUrl));
-    if (sanitizedThumbName) {
-      const thumbPath = path.join(getUploadsPath(), sanitizedThumbName);
-      if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
-    }
-  }
-
-  await Music.destroy({ where: { id: req.params.id } });
-  res.json({ message: 'Music deleted successfully' });
+  await music.destroy();
+  console.log(`Music ${music.id} moved to trash by admin ${req.user.id}`);
+  res.json({
+    message: 'Music moved to trash',
+    id: music.id,
+    deletedAt: music.deletedAt,
+    purgeAt: getPurgeDate(music),
+  });
 });
 
 // @desc    Upload a single file (for bulk upload)
@@ -366,7 +669,7 @@ const uploadFile = asyncHandler(async (req, res) => {
 
     // Return the first available file (audio takes priority)
     const uploadedFile = audioFile || thumbnailFile;
-    const fileUrl = `/uploads/${uploadedFile.filename}`;
+    const fileUrl = await persistUpload(uploadedFile);
 
     res.json({
       success: true,
@@ -374,6 +677,7 @@ const uploadFile = asyncHandler(async (req, res) => {
       fileUrl: fileUrl,
       filename: uploadedFile.filename,
       fieldname: uploadedFile.fieldname,
+      metadata: uploadedFile.metadata || null,
     });
   } catch (error) {
     console.error('File upload error:', error);
@@ -481,6 +785,18 @@ const updateDatabaseUrls = asyncHandler(async (req, res) => {
 export {
   getMusic,
   getMusicByCategory,
+  getAdminMusic,
+  getAdminMusicByCategory,
+  getUpcomingReleases,
+  searchMusic,
+  streamMusic,
+  downloadMusic,
+  getHlsMasterPlaylist,
+  getHlsVariantPlaylist,
+  getHlsSegment,
+  getMusicWaveform,
+  getMusicThumbnail,
+  getMusicThumbnailRendition,
   createMusic,
   updateMusic,
   deleteMusic,
@@ -0,0 +1,65 @@
+import asyncHandler from 'express-async-handler';
+import { formatMusic, attachHlsAvailability } from '../helpers/musicQueryHelper.js';
+import {
+  MAX_EVENT_BATCH,
+  parsePlayEvent,
+  recordPlayEvents,
+  getListeningHistory,
+} from '../services/playEventService.js';
+
+// @desc    Record a batch of playback events (start, progress, pause, complete, skip)
+// @route   POST /api/music/events
+// @access  Private
+// @body    { events: [{ eventId, type, musicId, position, clientTimestamp, deviceId }] }
+const postPlayEvents = asyncHandler(async (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : req.body?.events;
+  if (!Array.isArray(events) || !events.length) {
+    return res.status(400).json({ message: 'events must be a non-empty array' });
+  }
+  if (events.length > MAX_EVENT_BATCH) {
+    return res.status(400).json({ message: `At most ${MAX_EVENT_BATCH} events can be sent at once` });
+  }
+
+  const result = await recordPlayEvents(req.user.id, events.map((event) => parsePlayEvent(event)));
+  res.json(result);
+});
+
+// @desc    Recently played tracks, one entry per track, most recent first
+// @route   GET /api/users/history
+// @access  Private
+// @query   page, limit (max 100)
+const getHistory = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ message: 'limit must be an integer between 1 and 100' });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: 'page must be a positive integer' });
+  }
+
+  const { items, total } = await getListeningHistory(req.user.id, {
+    limit,
+    page,
+    includeUnpublished: req.user.role === 'admin',
+  });
+  await attachHlsAvailability(items.map((item) => item.music));
+
+  res.json({
+    history: items.map(({ music, lastPlayedAt, playCount }) => ({
+      ...formatMusic(music, { userId: req.user.id }),
+      lastPlayedAt,
+      playCount,
+    })),
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+      nextPage: page * limit < total ? page + 1 : null,
+    },
+  });
+});
+
+export { postPlayEvents, getHistory };
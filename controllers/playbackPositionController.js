@@ -0,0 +1,94 @@
+import asyncHandler from 'express-async-handler';
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import PlaybackPosition from '../models/PlaybackPosition.js';
+import { publishedWhere, formatMusic, attachHlsAvailability } from '../helpers/musicQueryHelper.js';
+import {
+  formatPlaybackPosition,
+  savePlaybackPosition,
+  findContinueListening,
+} from '../services/playbackPositionService.js';
+
+// Track visible to the caller: admins can reach unpublished tracks
+const findPlayableMusic = (req) =>
+  Music.findOne({
+    where:
+      req.user.role === 'admin'
+        ? { id: req.params.id }
+        : { [Op.and]: [{ id: req.params.id }, publishedWhere()] },
+    attributes: ['id', 'duration'],
+  });
+
+// @desc    Get the caller's resume position in a track
+// @route   GET /api/music/:id/position
+// @access  Private
+const getPlaybackPosition = asyncHandler(async (req, res) => {
+  const music = await findPlayableMusic(req);
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+  const record = await PlaybackPosition.findOne({ where: { userId: req.user.id, musicId: music.id } });
+  res.json(formatPlaybackPosition(record, music));
+});
+
+// @desc    Save the caller's resume position; older updates than the stored one are ignored
+// @route   PUT /api/music/:id/position
+// @access  Private
+// @body    position (seconds), clientTimestamp (ISO date or epoch ms), deviceId?, completed?
+const putPlaybackPosition = asyncHandler(async (req, res) => {
+  const { position, clientTimestamp, deviceId, completed } = req.body || {};
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    return res.status(400).json({ message: 'position must be a non-negative number of seconds' });
+  }
+  const timestamp = new Date(clientTimestamp);
+  if (clientTimestamp === undefined || clientTimestamp === null || Number.isNaN(timestamp.getTime())) {
+    return res.status(400).json({ message: 'clientTimestamp must be a date' });
+  }
+  if (deviceId !== undefined && (typeof deviceId !== 'string' || deviceId.length > 128)) {
+    return res.status(400).json({ message: 'deviceId must be a string of at most 128 characters' });
+  }
+  if (completed !== undefined && typeof completed !== 'boolean') {
+    return res.status(400).json({ message: 'completed must be a boolean' });
+  }
+
+  const music = await findPlayableMusic(req);
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const { applied, record } = await savePlaybackPosition(req.user.id, music, {
+    position,
+    clientTimestamp: timestamp,
+    deviceId: deviceId || null,
+    completed,
+  });
+  res.json({ applied, ...formatPlaybackPosition(record, music) });
+});
+
+// @desc    Partly played tracks to resume, most recently played first
+// @route   GET /api/users/continue-listening
+// @access  Private
+// @query   limit (max 50)
+const getContinueListening = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ message: 'limit must be an integer between 1 and 50' });
+  }
+
+  const records = await findContinueListening(req.user.id, {
+    limit,
+    includeUnpublished: req.user.role === 'admin',
+  });
+  await attachHlsAvailability(records.map((record) => record.music));
+
+  res.json({
+    music: records.map((record) => ({
+      ...formatMusic(record.music, { userId: req.user.id }),
+      playback: formatPlaybackPosition(record, record.music),
+    })),
+  });
+});
+
+export { getPlaybackPosition, putPlaybackPosition, getContinueListening };
@@ -0,0 +1,291 @@
+import asyncHandler from 'express-async-handler';
+import Music from '../models/Music.js';
+import Playlist from '../models/Playlist.js';
+import PlaylistTrack from '../models/PlaylistTrack.js';
+import { publishedWhere, attachHlsAvailability } from '../helpers/musicQueryHelper.js';
+import {
+  MAX_PLAYLIST_TRACKS,
+  findPlaylistEntries,
+  summarizePlaylist,
+  formatPlaylist,
+  insertPlaylistTracks,
+  removePlaylistEntry,
+  reorderPlaylistEntries,
+  duplicatePlaylist as copyPlaylist,
+} from '../services/playlistService.js';
+import sanitizeText from '../utils/sanitizeText.js';
+
+// Playlists are private: other users' playlists answer 404
+const findOwnPlaylist = (req) => Playlist.findOne({ where: { id: req.params.id, userId: req.user.id } });
+
+// Validate name/description from the body. Returns { values } or { error }.
+const parsePlaylistFields = (body = {}, { requireName }) => {
+  const values = {};
+  if (body.name !== undefined || requireName) {
+    const name = sanitizeText(body.name);
+    if (!name || name.length > 100) {
+      return { error: 'name is required and must be 100 characters or fewer' };
+    }
+    values.name = name;
+  }
+  if (body.description !== undefined) {
+    const description = sanitizeText(body.description);
+    if (description.length > 1000) {
+      return { error: 'Description must be 1000 characters or fewer' };
+    }
+    values.description = description;
+  }
+  return { values };
+};
+
+const isIdList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every((id) => Number.isInteger(id) && id > 0);
+
+// Respond with the full playlist, tracks signed for the caller
+const sendPlaylist = async (req, res, playlist, status = 200) => {
+  const entries = await findPlaylistEntries(playlist.id);
+  await attachHlsAvailability(entries.map((entry) => entry.music).filter(Boolean));
+  res.status(status).json(formatPlaylist(playlist, entries, { userId: req.user.id }));
+};
+
+// @desc    List the caller's playlists with track counts and durations
+// @route   GET /api/playlists
+// @access  Private
+const getMyPlaylists = asyncHandler(async (req, res) => {
+  const playlists = await Playlist.findAll({
+    where: { userId: req.user.id },
+    order: [['updatedAt', 'DESC']],
+  });
+  const entries = playlists.length
+    ? await findPlaylistEntries(
+        playlists.map((playlist) => playlist.id),
+        { withDetails: false },
+      )
+    : [];
+
+  res.json({
+    playlists: playlists.map((playlist) =>
+      summarizePlaylist(
+        playlist,
+        entries.filter((entry) => entry.playlistId === playlist.id),
+      ),
+    ),
+  });
+});
+
+// Tracks the caller may add, in the requested order, as { tracks } or
+// { status, body } on failure. Listeners can only add published tracks;
+// admins can also add scheduled and draft ones.
+async function findAddableTracks(req, musicIds) {
+  const uniqueIds = [...new Set(musicIds)];
+  if (uniqueIds.length > MAX_PLAYLIST_TRACKS) {
+    return { status: 400, body: { message: `A playlist can hold at most ${MAX_PLAYLIST_TRACKS} tracks` } };
+  }
+  const found = await Music.findAll({
+    where: req.user.role === 'admin' ? { id: uniqueIds } : { id: uniqueIds, ...publishedWhere() },
+    attributes: ['id', 'title', 'artist'],
+  });
+  const byId = new Map(found.map((music) => [music.id, music]));
+  const missing = uniqueIds.filter((id) => !byId.has(id));
+  if (missing.length) {
+    return { status: 404, body: { message: 'Some tracks were not found', missing } };
+  }
+  return { tracks: uniqueIds.map((id) => byId.get(id)) };
+}
+
+// @desc    Create a playlist, optionally with tracks
+// @route   POST /api/playlists
+// @access  Private
+// @body    name, description?, musicIds?
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { values, error } = parsePlaylistFields(req.body, { requireName: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const { musicIds } = req.body;
+  if (musicIds !== undefined && !isIdList(musicIds)) {
+    return res.status(400).json({ message: 'musicIds must be a non-empty array of track ids' });
+  }
+
+  const { tracks = [], status, body } = musicIds ? await findAddableTracks(req, musicIds) : {};
+  if (status) {
+    return res.status(status).json(body);
+  }
+
+  const playlist = await Playlist.create({ ...values, userId: req.user.id });
+  if (tracks.length) {
+    await insertPlaylistTracks(playlist, tracks);
+  }
+  await sendPlaylist(req, res, playlist, 201);
+});
+
+// @desc    Get a playlist with its tracks; unavailable tracks are flagged
+// @route   GET /api/playlists/:id
+// @access  Private
+const getPlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  if (!playlist) {
+    res.status(404);
+    throw new Error('Playlist not found');
+  }
+  await sendPlaylist(req, res, playlist);
+});
+
+// @desc    Rename a playlist or change its description
+// @route   PUT /api/playlists/:id
+// @access  Private
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  if (!playlist) {
+    res.status(404);
+    throw new Error('Playlist not found');
+  }
+  const { values, error } = parsePlaylistFields(req.body, { requireName: false });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  await playlist.update(values);
+  await sendPlaylist(req, res, playlist);
+});
+
+// @desc    Delete a playlist
+// @route   DELETE /api/playlists/:id
+// @access  Private
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  if (!playlist) {
+    res.status(404);
+    throw new Error('Playlist not found');
+  }
+  await PlaylistTrack.destroy({ where: { playlistId: playlist.id } });
+  await playlist.destroy();
+  res.json({ message: 'Playlist deleted' });
+});
+
+// @desc    Add tracks to a playlist, at the end or at a position
+// @route   POST /api/playlists/:id/tracks
+// @access  Private
+// @body    musicIds (or musicId), position?
+const addPlaylistTracks = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  if (!playlist) {
+    res.status(404);
+    throw new Error('Playlist not found');
+  }
+
+  const musicIds = req.body.musicIds ?? (req.body.musicId !== undefined ? [req.body.musicId] : undefined);
+  if (!isIdList(musicIds)) {
+    return res.status(400).json({ message: 'musicIds must be a non-empty array of track ids' });
+  }
+  const { position } = req.body;
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return res.status(400).json({ message: 'position must be a non-negative integer' });
+  }
+
+  const { tracks, status, body } = await findAddableTracks(req, musicIds);
+  if (status) {
+    return res.status(status).json(body);
+  }
+
+  // Duplicates and the size limit are checked with the playlist locked
+  const inserted = await insertPlaylistTracks(playlist, tracks, position);
+  if (inserted.status) {
+    return res.status(inserted.status).json(inserted.body);
+  }
+  await sendPlaylist(req, res, playlist);
+});
+
+// @desc    Remove an entry from a playlist
+// @route   DELETE /api/playlists/:id/tracks/:entryId
+// @access  Private
+const removePlaylistTrack = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  const entry =
+    playlist && (await PlaylistTrack.findOne({ where: { id: req.params.entryId, playlistId: playlist.id } }));
+  if (!entry) {
+    res.status(404);
+    throw new Error(playlist ? 'Track not found in playlist' : 'Playlist not found');
+  }
+
+  await removePlaylistEntry(playlist, entry);
+  await sendPlaylist(req, res, playlist);
+});
+
+// @desc    Reorder a playlist: move one entry, or send the complete order
+// @route   PUT /api/playlists/:id/tracks/order
+// @access  Private
+// @body    { entryId, position } or { entryIds: [...] }
+const reorderPlaylistTracks = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  if (!playlist) {
+    res.status(404);
+    throw new Error('Playlist not found');
+  }
+
+  const entries = await PlaylistTrack.findAll({
+    where: { playlistId: playlist.id },
+    order: [['position', 'ASC']],
+  });
+  const currentIds = entries.map((entry) => entry.id);
+  let entryIds = req.body.entryIds;
+
+  if (entryIds === undefined) {
+    const { entryId, position } = req.body;
+    if (!currentIds.includes(entryId)) {
+      return res.status(404).json({ message: 'Track not found in playlist' });
+    }
+    if (!Number.isInteger(position) || position < 0 || position >= entries.length) {
+      return res.status(400).json({ message: `position must be between 0 and ${entries.length - 1}` });
+    }
+    entryIds = currentIds.filter((id) => id !== entryId);
+    entryIds.splice(position, 0, entryId);
+  } else if (
+    !Array.isArray(entryIds) ||
+    entryIds.length !== currentIds.length ||
+    new Set(entryIds).size !== entryIds.length ||
+    !entryIds.every((id) => currentIds.includes(id))
+  ) {
+    return res.status(400).json({ message: 'entryIds must list every entry of the playlist exactly once' });
+  }
+
+  const reordered = await reorderPlaylistEntries(playlist, entryIds);
+  if (reordered.status) {
+    return res.status(reordered.status).json(reordered.body);
+  }
+  await sendPlaylist(req, res, playlist);
+});
+
+// @desc    Duplicate a playlist
+// @route   POST /api/playlists/:id/duplicate
+// @access  Private
+// @body    name? (defaults to "<name> (copy)")
+const duplicatePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findOwnPlaylist(req);
+  if (!playlist) {
+    res.status(404);
+    throw new Error('Playlist not found');
+  }
+  const { values, error } = parsePlaylistFields(
+    { name: req.body?.name ?? `${playlist.name.slice(0, 93)} (copy)` },
+    { requireName: true },
+  );
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const copy = await copyPlaylist(playlist, { userId: req.user.id, name: values.name });
+  await sendPlaylist(req, res, copy, 201);
+});
+
+export {
+  getMyPlaylists,
+  createPlaylist,
+  getPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistTracks,
+  removePlaylistTrack,
+  reorderPlaylistTracks,
+  duplicatePlaylist,
+};
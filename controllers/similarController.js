@@ -0,0 +1,46 @@
+import asyncHandler from 'express-async-handler';
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import { publishedWhere, formatMusic, attachHlsAvailability } from '../helpers/musicQueryHelper.js';
+import { attachFavoriteFlags } from '../services/favoriteService.js';
+import { findSimilarTracks } from '../services/similarMusicService.js';
+
+// @desc    Tracks to suggest after this one: content similarity plus co-listening,
+//          without tracks the caller played recently
+// @route   GET /api/music/:id/similar
+// @access  Public (recently played tracks are only excluded when a token is sent)
+// @query   limit (max 50)
+const getSimilarMusic = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ message: 'limit must be an integer between 1 and 50' });
+  }
+
+  const isAdmin = req.user?.role === 'admin';
+  const music = await Music.findOne({
+    where: isAdmin ? { id: req.params.id } : { [Op.and]: [{ id: req.params.id }, publishedWhere()] },
+  });
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const similar = await findSimilarTracks(music, {
+    userId: req.user?.id,
+    limit,
+    includeUnpublished: isAdmin,
+  });
+  const tracks = similar.map((item) => item.music);
+  await attachHlsAvailability(tracks);
+  await attachFavoriteFlags(tracks, req.user?.id);
+
+  res.json({
+    musicId: music.id,
+    music: similar.map(({ music: track, score, reasons }) => ({
+      ...formatMusic(track, { userId: req.user?.id }),
+      similarity: { score, reasons },
+    })),
+  });
+});
+
+export { getSimilarMusic };
@@ -182,6 +182,7 @@ export const handleWebhook = async (req, res) => {
           currentPeriodEnd: currentPeriodEnd,
           paymentDate: new Date(),
           interval: subscriptionCreated.items.data[0]?.plan?.interval || 'month',
+          priceId: subscriptionCreated.items.data[0]?.price?.id || user.subscription?.priceId,
         };
         await user.save();
       }
@@ -218,6 +219,8 @@ export const handleWebhook = async (req, res) => {
           currentPeriodEnd: finalStatus === 'canceled' ? null : currentPeriodEndUpdated,
           paymentDate: new Date(),
           interval: subscriptionUpdated.items.data[0]?.plan?.interval || 'month',
+          // Plan changes in Stripe (portal upgrade/downgrade) move the subscription to another price
+          priceId: subscriptionUpdated.items.data[0]?.price?.id || userUpdated.subscription?.priceId,
           cancelAtPeriodEnd: subscriptionUpdated.cancel_at_period_end,
         };
         await userUpdated.save();
@@ -256,6 +259,8 @@ export const handleWebhook = async (req, res) => {
           status: 'active',
           currentPeriodEnd: new Date(invoicePaid.period_end * 1000),
           paymentDate: new Date(),
+          // A renewal may bill a different price than the original checkout
+          priceId: invoicePaid.lines?.data?.[0]?.price?.id || userPaid.subscription?.priceId,
         };
         await userPaid.save();
         
@@ -1360,6 +1365,7 @@ export const forceActivateSubscription = async (req, res) => {
     // CRITICAL FIX: Force update database regardless of Stripe status
     user.subscription = {
       id: user.subscription.id,
+      priceId: user.subscription.priceId,
       status: 'active',
       interval: interval,
       cancelAtPeriodEnd: false,
@@ -1611,6 +1617,7 @@ export const createSubscription = async (req, res) => {
       // Save subscription details to user
       user.subscription = {
         id: subscription.id,
+        priceId, // Identifies the SubscriptionPlan for plan-based audio quality
         status: 'active', // CRITICAL FIX: Set to active immediately
         currentPeriodEnd: subscription.current_period_end
           ? new Date(subscription.current_period_end * 1000)
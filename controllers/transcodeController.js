@@ -0,0 +1,105 @@
+import asyncHandler from 'express-async-handler';
+import Music from '../models/Music.js';
+import MusicRendition from '../models/MusicRendition.js';
+import {
+  TRANSCODE_PROFILES,
+  getEnabledProfiles,
+  getTranscodeStatus,
+  queueTranscodes,
+} from '../services/transcodeService.js';
+
+const TRANSCODE_STATUSES = ['pending', 'processing', 'ready', 'failed', 'skipped'];
+
+// @desc    Transcode status counts plus renditions in a given state
+// @route   GET /api/music/admin/transcodes?status=failed&limit=
+// @access  Private/Admin
+const getTranscodeOverview = asyncHandler(async (req, res) => {
+  try {
+    const status = req.query.status || 'failed';
+    if (!TRANSCODE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${TRANSCODE_STATUSES.join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ message: 'limit must be an integer between 1 and 200' });
+    }
+
+    const counts = await MusicRendition.count({ group: ['status'] });
+    const renditions = await MusicRendition.findAll({
+      where: { status },
+      include: [{ model: Music, as: 'music', attributes: ['id', 'title', 'artist'] }],
+      order: [['updatedAt', 'DESC']],
+      limit,
+    });
+
+    res.json({
+      profiles: getEnabledProfiles().map((name) => ({ name, label: TRANSCODE_PROFILES[name].label })),
+      summary: Object.fromEntries(
+        TRANSCODE_STATUSES.map((name) => [name, counts.find((row) => row.status === name)?.count || 0]),
+      ),
+      status,
+      renditions,
+    });
+  } catch (error) {
+    console.error('Error fetching transcode overview:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @desc    Transcode status of each rendition of a track
+// @route   GET /api/music/:id/transcodes
+// @access  Private/Admin
+const getMusicTranscodes = asyncHandler(async (req, res) => {
+  const music = await Music.findByPk(req.params.id, { attributes: ['id', 'title', 'fileUrl'] });
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+  res.json({ musicId: music.id, renditions: await getTranscodeStatus(music.id) });
+});
+
+// @desc    Re-run transcodes for a track: failed and missing profiles, or all with force
+// @route   POST /api/music/:id/transcodes
+// @access  Private/Admin
+const retryMusicTranscodes = asyncHandler(async (req, res) => {
+  const music = await Music.findByPk(req.params.id, { attributes: ['id'] });
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const { profiles, force } = req.body || {};
+  if (profiles !== undefined) {
+    const enabled = getEnabledProfiles();
+    const unknown = Array.isArray(profiles) ? profiles.filter((name) => !enabled.includes(name)) : [profiles];
+    if (unknown.length) {
+      return res.status(400).json({
+        message: `profiles must be an array of: ${enabled.join(', ')}`,
+        invalid: unknown,
+      });
+    }
+  }
+
+  const renditions = await queueTranscodes(music.id, {
+    profiles,
+    force: force === true || force === 'true',
+  });
+  res.status(202).json({ musicId: music.id, renditions });
+});
+
+// @desc    Re-queue every failed transcode
+// @route   POST /api/music/admin/transcodes/retry-failed
+// @access  Private/Admin
+const retryFailedTranscodes = asyncHandler(async (req, res) => {
+  const failed = await MusicRendition.findAll({
+    where: { status: 'failed' },
+    attributes: ['musicId'],
+    group: ['musicId'],
+  });
+  for (const { musicId } of failed) {
+    await queueTranscodes(musicId);
+  }
+  res.status(202).json({ requeuedTracks: failed.length });
+});
+
+export { getTranscodeOverview, getMusicTranscodes, retryMusicTranscodes, retryFailedTranscodes };
@@ -0,0 +1,100 @@
+import asyncHandler from 'express-async-handler';
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import {
+  parseCatalogQuery,
+  buildCatalogWhere,
+  categoryInclude,
+  formatMusic,
+} from '../helpers/musicQueryHelper.js';
+import { getTrashRetentionDays, getPurgeDate, purgeMusic } from '../services/musicTrashService.js';
+import { queueTranscodes } from '../services/transcodeService.js';
+
+const findTrashedMusic = (id) =>
+  Music.findOne({ where: { id, deletedAt: { [Op.ne]: null } }, paranoid: false });
+
+// Trashed tracks carry no media URLs: their media endpoints answer 404
+const formatTrashedMusic = (music) => ({
+  ...formatMusic(music, { scope: 'admin' }),
+  fileUrl: null,
+  thumbnailUrl: null,
+  thumbnails: null,
+  mediaUrlExpiresAt: null,
+  deletedAt: music.deletedAt,
+  purgeAt: getPurgeDate(music),
+});
+
+// @desc    List deleted tracks, most recently deleted first
+// @route   GET /api/music/admin/trash
+// @access  Private/Admin
+// @query   page, limit, plus the GET /api/music/admin filters
+const getTrash = asyncHandler(async (req, res) => {
+  const { cursor, sortBy, order, ...query } = req.query;
+  const { options, error } = parseCatalogQuery(query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const { limit, page, filters } = options;
+  const where = { [Op.and]: [buildCatalogWhere(filters, 'admin'), { deletedAt: { [Op.ne]: null } }] };
+  const { count, rows } = await Music.findAndCountAll({
+    where,
+    include: [categoryInclude],
+    paranoid: false,
+    order: [
+      ['deletedAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.json({
+    retentionDays: getTrashRetentionDays(),
+    music: rows.map(formatTrashedMusic),
+    pagination: {
+      total: count,
+      limit,
+      page,
+      totalPages: Math.ceil(count / limit),
+      hasMore: page * limit < count,
+      nextPage: page * limit < count ? page + 1 : null,
+    },
+  });
+});
+
+// @desc    Restore a deleted track from the trash
+// @route   POST /api/music/:id/restore
+// @access  Private/Admin
+const restoreMusic = asyncHandler(async (req, res) => {
+  const music = await findTrashedMusic(req.params.id);
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found in trash');
+  }
+
+  await music.restore();
+  // Renditions still queued when the track was deleted were dropped by the worker
+  await queueTranscodes(music.id);
+  console.log(`Music ${music.id} restored from trash by admin ${req.user.id}`);
+
+  const restored = await Music.findByPk(music.id, { include: [categoryInclude] });
+  res.json({ message: 'Music restored', music: formatMusic(restored, { scope: 'admin', userId: req.user.id }) });
+});
+
+// @desc    Permanently delete a track from the trash, files included
+// @route   DELETE /api/music/admin/trash/:id
+// @access  Private/Admin
+const purgeTrashedMusic = asyncHandler(async (req, res) => {
+  const music = await findTrashedMusic(req.params.id);
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found in trash');
+  }
+
+  await purgeMusic(music);
+  console.log(`Music ${music.id} purged from trash by admin ${req.user.id}`);
+  res.json({ message: 'Music permanently deleted' });
+});
+
+export { getTrash, restoreMusic, purgeTrashedMusic };
@@ -0,0 +1,64 @@
+import asyncHandler from 'express-async-handler';
+import Music from '../models/Music.js';
+import { categoryInclude, formatMusic, attachHlsAvailability } from '../helpers/musicQueryHelper.js';
+import { attachFavoriteFlags } from '../services/favoriteService.js';
+import { getTrendingTracks } from '../services/playStatsService.js';
+
+// @desc    Published tracks ranked by recent plays, recent days weighted higher
+// @route   GET /api/music/trending
+// @access  Public
+// @query   window (1d-90d, default 7d), categoryId, page, limit (max 100)
+const getTrending = asyncHandler(async (req, res) => {
+  const match = /^(\d+)d$/.exec(req.query.window ?? '7d');
+  const windowDays = match ? Number(match[1]) : NaN;
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 90) {
+    return res.status(400).json({ message: 'window must be a number of days between 1d and 90d' });
+  }
+  const categoryId = req.query.categoryId === undefined ? undefined : Number(req.query.categoryId);
+  if (categoryId !== undefined && (!Number.isInteger(categoryId) || categoryId < 1)) {
+    return res.status(400).json({ message: 'categoryId must be a positive integer' });
+  }
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ message: 'limit must be an integer between 1 and 100' });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: 'page must be a positive integer' });
+  }
+
+  const { from, through, total, items } = await getTrendingTracks({ windowDays, categoryId, limit, page });
+  const tracks = items.length
+    ? await Music.findAll({ where: { id: items.map((item) => item.musicId) }, include: [categoryInclude] })
+    : [];
+  await attachHlsAvailability(tracks);
+  await attachFavoriteFlags(tracks, req.user?.id);
+  const byId = new Map(tracks.map((music) => [music.id, music]));
+
+  res.json({
+    window: `${windowDays}d`,
+    from,
+    through,
+    music: items
+      .filter((item) => byId.has(item.musicId))
+      .map((item, index) => ({
+        ...formatMusic(byId.get(item.musicId), { userId: req.user?.id }),
+        trending: {
+          rank: (page - 1) * limit + index + 1,
+          score: item.score,
+          plays: item.plays,
+          listeners: item.listeners,
+        },
+      })),
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+      nextPage: page * limit < total ? page + 1 : null,
+    },
+  });
+});
+
+export { getTrending };
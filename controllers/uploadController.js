@@ -0,0 +1,121 @@
+import asyncHandler from 'express-async-handler';
+import {
+  createUploadSession,
+  findUploadSession,
+  listReceivedChunks,
+  writeChunk,
+  assembleUpload,
+  discardUploadSession,
+} from '../services/chunkedUploadService.js';
+import UploadError from '../utils/uploadError.js';
+
+const sessionSummary = async (session) => {
+  const received = session.status === 'complete' ? [] : await listReceivedChunks(session);
+  const receivedSet = new Set(received);
+  const missing = [];
+  if (session.status !== 'complete') {
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!receivedSet.has(index)) missing.push(index);
+    }
+  }
+
+  return {
+    uploadId: session.id,
+    field: session.fieldName,
+    fileName: session.originalName,
+    fileSize: Number(session.totalSize),
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: received,
+    missingChunks: missing,
+    status: session.status,
+    sha256: session.status === 'complete' ? session.sha256 : undefined,
+    expiresAt: session.expiresAt,
+  };
+};
+
+// Translate service errors into their HTTP status; anything else is a 500
+const handleUploadError = (res, error, context) => {
+  if (error instanceof UploadError) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ message: 'Server Error', error: error.message });
+};
+
+// @desc    Start a resumable upload
+// @route   POST /api/uploads
+// @access  Private/Admin
+// @body    fileName, fileSize, mimeType?, field? (file|thumbnail), chunkSize?, sha256?
+const initUpload = asyncHandler(async (req, res) => {
+  try {
+    const session = await createUploadSession(req.user.id, req.body || {});
+    res.status(201).json(await sessionSummary(session));
+  } catch (error) {
+    handleUploadError(res, error, 'Init upload');
+  }
+});
+
+// @desc    Get upload progress (which chunks still need to be sent)
+// @route   GET /api/uploads/:uploadId
+// @access  Private/Admin
+const getUploadStatus = asyncHandler(async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user.id);
+    res.json(await sessionSummary(session));
+  } catch (error) {
+    handleUploadError(res, error, 'Upload status');
+  }
+});
+
+// @desc    Upload one chunk as the raw request body
+// @route   PUT /api/uploads/:uploadId/chunks/:index
+// @access  Private/Admin
+// @header  X-Chunk-Checksum: hex SHA-256 of the chunk
+const uploadChunk = asyncHandler(async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user.id);
+    const index = Number(req.params.index);
+    await writeChunk(session, index, req, req.get('X-Chunk-Checksum'));
+    res.json({ uploadId: session.id, index, expiresAt: session.expiresAt });
+  } catch (error) {
+    // Drain the rest of the body so the connection can be reused
+    req.resume();
+    handleUploadError(res, error, 'Upload chunk');
+  }
+});
+
+// @desc    Assemble all chunks; the uploadId can then be passed to
+//          POST /api/music/create, PUT /api/music/:id or POST /api/music/upload
+// @route   POST /api/uploads/:uploadId/complete
+// @access  Private/Admin
+const completeUpload = asyncHandler(async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user.id);
+    const { missing } = await assembleUpload(session);
+    if (missing.length) {
+      return res.status(409).json({
+        message: 'Upload is missing chunks',
+        missingChunks: missing,
+      });
+    }
+    res.json(await sessionSummary(session));
+  } catch (error) {
+    handleUploadError(res, error, 'Complete upload');
+  }
+});
+
+// @desc    Abort an upload and delete its data
+// @route   DELETE /api/uploads/:uploadId
+// @access  Private/Admin
+const abortUpload = asyncHandler(async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user.id);
+    await discardUploadSession(session);
+    res.json({ message: 'Upload aborted' });
+  } catch (error) {
+    handleUploadError(res, error, 'Abort upload');
+  }
+});
+
+export { initUpload, getUploadStatus, uploadChunk, completeUpload, abortUpload };
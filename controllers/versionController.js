@@ -0,0 +1,125 @@
+import asyncHandler from 'express-async-handler';
+import Music from '../models/Music.js';
+import MusicFileVersion from '../models/MusicFileVersion.js';
+import User from '../models/userModel.js';
+import { sendStoredFile } from '../helpers/mediaStreamHelper.js';
+import { getStorageKey } from '../services/storageService.js';
+import {
+  VERSION_KINDS,
+  getVersionRetention,
+  restoreFileVersion,
+} from '../services/mediaVersionService.js';
+import { signMediaUrl } from '../utils/mediaSignature.js';
+import sanitizeText from '../utils/sanitizeText.js';
+
+// Version entry for API responses; `previewUrl` is signed for the admin so
+// it can be used directly in an <audio> or <img> tag
+const formatVersion = (version, { current, userId }) => ({
+  id: version.id,
+  kind: version.kind,
+  version: version.version,
+  current,
+  fileSize: version.fileSize == null ? null : Number(version.fileSize),
+  checksum: version.checksum,
+  metadata: version.metadata,
+  notes: version.notes,
+  uploadedBy: version.uploadedBy
+    ? { id: version.uploadedBy.id, name: version.uploadedBy.name, email: version.uploadedBy.email }
+    : null,
+  restoredFromVersion: version.restoredFromVersion,
+  purgedAt: version.purgedAt,
+  createdAt: version.createdAt,
+  previewUrl: version.purgedAt
+    ? null
+    : signMediaUrl(`/api/music/${version.musicId}/versions/${version.id}/file`, { userId }).url,
+});
+
+const findVersion = (req) =>
+  MusicFileVersion.findOne({ where: { id: req.params.versionId, musicId: req.params.id } });
+
+// @desc    Version history of a track's audio and artwork, newest first
+// @route   GET /api/music/:id/versions?kind=audio|thumbnail
+// @access  Private/Admin
+const getMusicVersions = asyncHandler(async (req, res) => {
+  const { kind } = req.query;
+  if (kind !== undefined && !VERSION_KINDS.includes(kind)) {
+    return res.status(400).json({ message: `kind must be one of: ${VERSION_KINDS.join(', ')}` });
+  }
+
+  const music = await Music.findByPk(req.params.id, { attributes: ['id', 'title'] });
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const versions = await MusicFileVersion.findAll({
+    where: { musicId: music.id, ...(kind && { kind }) },
+    include: [{ model: User, as: 'uploadedBy', attributes: ['id', 'name', 'email'] }],
+    order: [
+      ['kind', 'ASC'],
+      ['version', 'DESC'],
+    ],
+  });
+
+  // The newest version of each kind is the file in use
+  const seen = new Set();
+  res.json({
+    musicId: music.id,
+    retention: getVersionRetention(),
+    versions: versions.map((version) => {
+      const current = !seen.has(version.kind);
+      seen.add(version.kind);
+      return formatVersion(version, { current, userId: req.user.id });
+    }),
+  });
+});
+
+// @desc    Preview the stored file of a version
+// @route   GET /api/music/:id/versions/:versionId/file
+// @access  Private/Admin (JWT or signed URL)
+const getMusicVersionFile = asyncHandler(async (req, res) => {
+  const version = await findVersion(req);
+  if (!version) {
+    res.status(404);
+    throw new Error('Version not found');
+  }
+  if (version.purgedAt) {
+    res.status(410);
+    throw new Error('The file of this version was removed by the retention policy');
+  }
+  if (!(await sendStoredFile(req, res, getStorageKey(version.fileUrl)))) {
+    res.status(404);
+    throw new Error('Version file not found in storage');
+  }
+});
+
+// @desc    Roll a track's audio or artwork back to an earlier version
+// @route   POST /api/music/:id/versions/:versionId/restore
+// @access  Private/Admin
+const restoreMusicVersion = asyncHandler(async (req, res) => {
+  const music = await Music.findByPk(req.params.id);
+  const version = music ? await findVersion(req) : null;
+  if (!version) {
+    res.status(404);
+    throw new Error(music ? 'Version not found' : 'Music not found');
+  }
+  if (version.purgedAt) {
+    res.status(410);
+    throw new Error('The file of this version was removed by the retention policy');
+  }
+
+  const latest = await MusicFileVersion.max('version', { where: { musicId: music.id, kind: version.kind } });
+  if (version.version === latest) {
+    return res.status(409).json({ message: 'This version is already current' });
+  }
+
+  const notes = req.body?.notes ? sanitizeText(req.body.notes) : undefined;
+  const restored = await restoreFileVersion(music, version, { userId: req.user.id, notes });
+  console.log(`Music ${music.id}: ${version.kind} restored to version ${version.version} by admin ${req.user.id}`);
+  res.json({
+    musicId: music.id,
+    version: formatVersion(restored, { current: true, userId: req.user.id }),
+  });
+});
+
+export { getMusicVersions, getMusicVersionFile, restoreMusicVersion };
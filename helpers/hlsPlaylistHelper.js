@@ -0,0 +1,44 @@
+import { signMediaUrl, getMediaUrlTtl } from '../utils/mediaSignature.js';
+
+// Name of an HLS variant in playlist URLs, e.g. "128k"
+export const getVariantName = (variant) => `${variant.bitrate / 1000}k`;
+
+/**
+ * Lifetime of URLs inside a playlist. Players fetch a VOD playlist once and
+ * then request segments until the end, so the URLs must outlive the track.
+ */
+export const getPlaylistUrlTtl = (music) => Math.max(getMediaUrlTtl(), (Number(music.duration) || 0) + 60 * 60);
+
+/**
+ * Master playlist listing the variants the caller may play, each pointing at
+ * a variant playlist signed for the caller.
+ */
+export function buildMasterPlaylist(music, variants, { userId }) {
+  const ttlSeconds = getPlaylistUrlTtl(music);
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const variant of variants) {
+    const { url } = signMediaUrl(`/api/music/${music.id}/hls/${getVariantName(variant)}.m3u8`, {
+      userId,
+      ttlSeconds,
+    });
+    // BANDWIDTH is the peak rate; allow for MPEG-TS container overhead
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${Math.ceil(variant.bitrate * 1.1)},CODECS="mp4a.40.2"`, url);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Rewrite a stored variant playlist so every segment line becomes a segment
+ * URL signed for the caller. Tags and comments pass through unchanged.
+ */
+export function signVariantPlaylist(music, playlist, { userId }) {
+  const ttlSeconds = getPlaylistUrlTtl(music);
+  return playlist
+    .split(/\r?\n/)
+    .map((line) => {
+      const segment = line.trim();
+      if (!segment || segment.startsWith('#')) return line;
+      return signMediaUrl(`/api/music/${music.id}/hls/segments/${segment}`, { userId, ttlSeconds }).url;
+    })
+    .join('\n');
+}
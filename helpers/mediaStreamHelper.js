@@ -0,0 +1,127 @@
+import path from 'path';
+import storage from '../services/storageService.js';
+
+/**
+ * Parse a single-range "bytes=" Range header against a resource size.
+ * Returns { start, end } for a satisfiable range, 'unsatisfiable' when the
+ * range lies outside the resource, or null when the header should be ignored
+ * (missing, malformed or multi-range) and the whole resource sent.
+ */
+export function parseRangeHeader(header, size) {
+  if (!header || typeof header !== 'string') return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+
+  const [, rawStart, rawEnd] = match;
+  if (rawStart === '' && rawEnd === '') return null;
+
+  let start;
+  let end;
+  if (rawStart === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = Number(rawEnd);
+    if (suffixLength === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(rawStart);
+    end = rawEnd === '' ? size - 1 : Math.min(Number(rawEnd), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+const buildEtag = (size, mtime) => `"${size.toString(16)}-${mtime.getTime().toString(16)}"`;
+
+/**
+ * An If-Range validator matches when it equals the current ETag or, for
+ * HTTP dates, when the resource has not been modified since that date.
+ */
+const ifRangeMatches = (ifRange, etag, mtime) => {
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+  const since = Date.parse(ifRange);
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+/**
+ * Send a media resource honouring Range and If-Range. Responds 200 with the
+ * full body, 206 Partial Content for a satisfiable range or 416 otherwise.
+ * `createStream({ start, end })` must return (a promise of) a readable stream
+ * for the inclusive byte range.
+ */
+export async function sendMediaStream(req, res, { size, mtime, contentType, createStream }) {
+  const etag = buildEtag(size, mtime);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', mtime.toUTCString());
+  res.setHeader('Cache-Control', 'private, no-transform');
+  if (contentType) res.type(contentType);
+
+  let range = null;
+  if (ifRangeMatches(req.headers['if-range'], etag, mtime)) {
+    range = parseRangeHeader(req.headers.range, size);
+  }
+
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  } else {
+    res.status(200);
+  }
+  res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  let stream;
+  try {
+    stream = await createStream({ start, end });
+  } catch (error) {
+    res.removeHeader('Content-Range');
+    res.removeHeader('Content-Length');
+    res.status(500);
+    throw error;
+  }
+  stream.on('error', (error) => {
+    console.error('Media stream error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to stream media' });
+    } else {
+      res.destroy(error);
+    }
+  });
+  // Stop reading from disk when the client goes away mid-stream
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+/**
+ * Stream a file from the storage backend. Returns false without responding
+ * when the key does not exist so callers can report their own 404.
+ */
+export async function sendStoredFile(req, res, key) {
+  const stats = key ? await storage.stat(key) : null;
+  if (!stats) return false;
+
+  await sendMediaStream(req, res, {
+    size: stats.size,
+    mtime: stats.lastModified,
+    contentType: path.extname(key),
+    createStream: (range) => storage.getStream(key, range),
+  });
+  return true;
+}
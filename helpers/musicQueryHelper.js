@@ -0,0 +1,362 @@
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import Category from '../models/Category.js';
+import MusicRendition from '../models/MusicRendition.js';
+import { getAudioQuality } from '../services/audioMetadataService.js';
+import { signMediaUrl } from '../utils/mediaSignature.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Columns clients may sort by, mapped to whether the column can be NULL
+const SORTABLE_FIELDS = {
+  title: false,
+  createdAt: false,
+  duration: false,
+  publishDate: true,
+};
+
+// Tracks without a publishDate are either live or drafts depending on this setting
+export const getUndatedStatus = () =>
+  process.env.MUSIC_UNDATED_STATUS === 'draft' ? 'draft' : 'published';
+
+export const PUBLISH_STATUSES = ['scheduled', 'published', 'draft'];
+
+// Escape LIKE wildcards (and the escape character) so user input matches literally
+export const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+export const categoryInclude = {
+  model: Category,
+  as: 'category',
+  attributes: ['id', 'name', 'description', 'types'],
+};
+
+const parseInteger = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : NaN;
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? NaN : parsed;
+};
+
+const encodeCursor = (music, sortBy) => {
+  const value = music[sortBy];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: music.id,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortBy) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !Number.isInteger(payload.id) || !('v' in payload)) return null;
+    const isDateField = sortBy === 'createdAt' || sortBy === 'publishDate';
+    return {
+      value: isDateField && payload.v !== null ? new Date(payload.v) : payload.v,
+      id: payload.id,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the keyset condition that selects rows after the cursor position.
+ * MySQL sorts NULLs first ascending and last descending, so nullable sort
+ * columns need their own branches to keep pages stable.
+ */
+const buildCursorWhere = ({ value, id }, sortBy, direction) => {
+  const after = direction === 'ASC' ? Op.gt : Op.lt;
+  const nullable = SORTABLE_FIELDS[sortBy];
+
+  if (value === null) {
+    if (direction === 'ASC') {
+      return {
+        [Op.or]: [{ [sortBy]: null, id: { [after]: id } }, { [sortBy]: { [Op.ne]: null } }],
+      };
+    }
+    return { [sortBy]: null, id: { [after]: id } };
+  }
+
+  const conditions = [
+    { [sortBy]: { [after]: value } },
+    { [sortBy]: value, id: { [after]: id } },
+  ];
+  if (nullable && direction === 'DESC') {
+    conditions.push({ [sortBy]: null });
+  }
+  return { [Op.or]: conditions };
+};
+
+/**
+ * Where clause for tracks that are publicly visible at `now`.
+ */
+export function publishedWhere(now = new Date()) {
+  if (getUndatedStatus() === 'published') {
+    return { [Op.or]: [{ publishDate: null }, { publishDate: { [Op.lte]: now } }] };
+  }
+  return { publishDate: { [Op.lte]: now } };
+}
+
+/**
+ * Where clause selecting tracks in a given publish status at `now`.
+ */
+export function publishStatusWhere(status, now = new Date()) {
+  const undated = getUndatedStatus();
+  switch (status) {
+    case 'scheduled':
+      return { publishDate: { [Op.gt]: now } };
+    case 'published':
+      return publishedWhere(now);
+    case 'draft':
+      return undated === 'draft' ? { publishDate: null } : { id: null };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Compute the publish status of a track: scheduled, published or draft.
+ */
+export function getPublishStatus(music, now = new Date()) {
+  if (!music.publishDate) return getUndatedStatus();
+  return new Date(music.publishDate) > now ? 'scheduled' : 'published';
+}
+
+/**
+ * Validate catalog listing query parameters.
+ * Returns { options } on success or { error } with a client-facing message.
+ */
+export function parseCatalogQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInteger(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const page = query.page === undefined ? 1 : parseInteger(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  const sortBy = query.sortBy || 'createdAt';
+  if (!Object.prototype.hasOwnProperty.call(SORTABLE_FIELDS, sortBy)) {
+    return { error: `sortBy must be one of: ${Object.keys(SORTABLE_FIELDS).join(', ')}` };
+  }
+
+  const order = (query.order || (sortBy === 'title' ? 'asc' : 'desc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  const direction = order.toUpperCase();
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sortBy);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const filters = {};
+
+  const categoryId = parseInteger(query.categoryId);
+  if (Number.isNaN(categoryId)) return { error: 'categoryId must be an integer' };
+  if (categoryId !== undefined) filters.categoryId = categoryId;
+
+  if (query.categoryType) filters.categoryType = String(query.categoryType);
+  if (query.artist) filters.artist = String(query.artist).trim();
+
+  const minDuration = parseInteger(query.minDuration);
+  const maxDuration = parseInteger(query.maxDuration);
+  if (Number.isNaN(minDuration) || Number.isNaN(maxDuration)) {
+    return { error: 'minDuration and maxDuration must be integers (seconds)' };
+  }
+  if (minDuration !== undefined) filters.minDuration = minDuration;
+  if (maxDuration !== undefined) filters.maxDuration = maxDuration;
+
+  const publishedFrom = parseDate(query.publishedFrom);
+  const publishedTo = parseDate(query.publishedTo);
+  if (Number.isNaN(publishedFrom) || Number.isNaN(publishedTo)) {
+    return { error: 'publishedFrom and publishedTo must be valid dates' };
+  }
+  if (publishedFrom) filters.publishedFrom = publishedFrom;
+  if (publishedTo) filters.publishedTo = publishedTo;
+
+  if (query.status) {
+    if (!PUBLISH_STATUSES.includes(query.status)) {
+      return { error: `status must be one of: ${PUBLISH_STATUSES.join(', ')}` };
+    }
+    filters.status = query.status;
+  }
+
+  return { options: { limit, page, sortBy, direction, cursor, filters } };
+}
+
+/**
+ * Translate parsed filters into a Sequelize where clause on the Music table.
+ * The public scope only sees published tracks; the status filter is admin-only.
+ */
+export function buildCatalogWhere(filters = {}, scope = 'public') {
+  const where = {};
+
+  if (filters.categoryId !== undefined) where.categoryId = filters.categoryId;
+  if (filters.categoryType) where.categoryType = filters.categoryType;
+  if (filters.artist) where.artist = { [Op.like]: `%${escapeLike(filters.artist)}%` };
+
+  if (filters.minDuration !== undefined || filters.maxDuration !== undefined) {
+    where.duration = {};
+    if (filters.minDuration !== undefined) where.duration[Op.gte] = filters.minDuration;
+    if (filters.maxDuration !== undefined) where.duration[Op.lte] = filters.maxDuration;
+  }
+
+  if (filters.publishedFrom || filters.publishedTo) {
+    where.publishDate = {};
+    if (filters.publishedFrom) where.publishDate[Op.gte] = filters.publishedFrom;
+    if (filters.publishedTo) where.publishDate[Op.lte] = filters.publishedTo;
+  }
+
+  const now = new Date();
+  if (scope === 'public') {
+    return { [Op.and]: [where, publishedWhere(now)] };
+  }
+  if (filters.status) {
+    return { [Op.and]: [where, publishStatusWhere(filters.status, now)] };
+  }
+  return where;
+}
+
+/**
+ * Run a paginated catalog query. Supports page/limit and opaque keyset
+ * cursors; when a cursor is supplied the page number is ignored.
+ */
+export async function queryCatalog(options, scope = 'public') {
+  const { limit, page, sortBy, direction, cursor, filters } = options;
+  const where = buildCatalogWhere(filters, scope);
+
+  const pageWhere = cursor
+    ? { [Op.and]: [where, buildCursorWhere(cursor, sortBy, direction)] }
+    : where;
+
+  const [total, rows] = await Promise.all([
+    Music.count({ where }),
+    Music.findAll({
+      where: pageWhere,
+      include: [categoryInclude],
+      order: [
+        [sortBy, direction],
+        ['id', direction],
+      ],
+      limit: limit + 1,
+      offset: cursor ? 0 : (page - 1) * limit,
+    }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      total,
+      limit,
+      page: cursor ? null : page,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextPage: !cursor && hasMore ? page + 1 : null,
+      nextCursor: hasMore && last ? encodeCursor(last, sortBy) : null,
+    },
+  };
+}
+
+/**
+ * Flag the rows that have a ready HLS package (`music.hlsAvailable`) with one
+ * query for the whole page, so formatMusic can advertise `hlsUrl`.
+ */
+export async function attachHlsAvailability(items) {
+  if (!items.length) return items;
+  const packages = await MusicRendition.findAll({
+    where: { musicId: items.map((music) => music.id), profile: 'hls', status: 'ready' },
+    attributes: ['musicId'],
+  });
+  const available = new Set(packages.map((rendition) => rendition.musicId));
+  for (const music of items) {
+    music.hlsAvailable = available.has(music.id);
+  }
+  return items;
+}
+
+/**
+ * Shape a Music row for API responses: relative media URLs plus resolved
+ * category and category type details. Admin responses also carry the
+ * computed publish status.
+ *
+ * Media URLs are HMAC-signed and expire at `mediaUrlExpiresAt`. The audio URL
+ * is only signed for a known user; anonymous callers get the bare stream path,
+ * which still requires a JWT. `hlsUrl` is the adaptive stream's master
+ * playlist, present for known users once the track has been packaged (see
+ * attachHlsAvailability). `thumbnails` maps each rendition size to its
+ * WebP and JPEG URLs; `thumbnailUrl` still points at the original artwork.
+ * `isFavorite` and the admin-only `favoriteCount` and `playCounts` are
+ * included when set on the row (see favoriteService and playStatsService).
+ */
+export function formatMusic(music, { scope = 'public', userId = null } = {}) {
+  // Always return relative URLs so clients can prepend their own base.
+  // Audio is only reachable through the subscription-gated stream endpoint.
+  const streamPath = `/api/music/${music.id}/stream`;
+  const audio = music.fileUrl && userId ? signMediaUrl(streamPath, { userId }) : null;
+  const hls = music.hlsAvailable && userId
+    ? signMediaUrl(`/api/music/${music.id}/hls/master.m3u8`, { userId })
+    : null;
+  const thumbnail = music.thumbnailUrl
+    ? signMediaUrl(`/api/music/${music.id}/thumbnail`, { userId })
+    : null;
+  const thumbnails = {};
+  for (const [size, formats] of Object.entries(music.thumbnails || {})) {
+    thumbnails[size] = {};
+    for (const format of Object.keys(formats || {})) {
+      thumbnails[size][format] = signMediaUrl(`/api/music/${music.id}/thumbnails/${size}.${format}`, {
+        userId,
+      }).url;
+    }
+  }
+
+  // Safely handle categoryType lookup
+  let categoryTypeDetails = null;
+  if (music.category && music.categoryType && music.category.types) {
+    categoryTypeDetails = music.category.types.find((type) => type.id == music.categoryType);
+  }
+
+  return {
+    ...music.toJSON(),
+    fileUrl: audio ? audio.url : music.fileUrl ? streamPath : null,
+    hlsUrl: hls ? hls.url : null,
+    thumbnailUrl: thumbnail ? thumbnail.url : null,
+    thumbnails: Object.keys(thumbnails).length ? thumbnails : null,
+    mediaUrlExpiresAt: (audio || thumbnail)?.expiresAt || null,
+    publishDate: music.publishDate,
+    category: music.category
+      ? {
+          id: music.category.id,
+          name: music.category.name,
+          description: music.category.description,
+        }
+      : null, // Handle null category
+    categoryType: categoryTypeDetails || {
+      id: parseInt(music.categoryType) || 0,
+      name: 'Unknown',
+      description: '',
+    },
+    quality: getAudioQuality(music),
+    ...(music.isFavorite !== undefined && { isFavorite: music.isFavorite }),
+    ...(scope === 'admin' && { status: getPublishStatus(music) }),
+    ...(scope === 'admin' && music.favoriteCount !== undefined && { favoriteCount: music.favoriteCount }),
+    ...(scope === 'admin' && music.playCounts && { playCounts: music.playCounts }),
+  };
+}
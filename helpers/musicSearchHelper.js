@@ -0,0 +1,193 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from '../models/Music.js';
+import Category from '../models/Category.js';
+import { categoryInclude, escapeLike } from './musicQueryHelper.js';
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 8;
+// InnoDB ignores FULLTEXT tokens shorter than innodb_ft_min_token_size (default 3)
+const MIN_FULLTEXT_TERM_LENGTH = 3;
+
+const MATCH_COLUMNS = '`Music`.`title`, `Music`.`artist`, `Music`.`description`';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Split a raw search string into lowercase terms, dropping MySQL boolean-mode
+ * operators so user input can never change the query semantics.
+ */
+export function tokenizeSearchQuery(raw) {
+  if (typeof raw !== 'string') return [];
+  return raw
+    .slice(0, MAX_QUERY_LENGTH)
+    .toLowerCase()
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+}
+
+// Every term is required and prefix-matched so results narrow while the user types
+const toBooleanQuery = (terms) => terms.map((term) => `+${term}*`).join(' ');
+
+const termMatchesWordPrefix = (text, term) =>
+  new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'iu').test(text || '');
+
+/**
+ * Wrap word-prefix matches of any term in <mark> tags. The text is HTML-escaped
+ * first so the result is safe to render. Returns null when nothing matched.
+ */
+export function highlightText(text, terms) {
+  if (!text || !terms.length) return null;
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`,
+    'giu',
+  );
+  if (!pattern.test(text)) return null;
+  pattern.lastIndex = 0;
+
+  let result = '';
+  let cursor = 0;
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index + match[1].length;
+    const end = start + match[2].length;
+    result += escapeHtml(text.slice(cursor, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+    cursor = end;
+  }
+  return result + escapeHtml(text.slice(cursor));
+}
+
+/**
+ * Find categories and category types whose names match every term. Types live
+ * in the Category.types JSON column, so they are matched in memory.
+ */
+const findMatchingCategories = async (terms) => {
+  const categories = await Category.findAll({ attributes: ['id', 'name', 'types'] });
+  const categoryIds = [];
+  const typeMatches = [];
+
+  for (const category of categories) {
+    if (terms.every((term) => termMatchesWordPrefix(category.name, term))) {
+      categoryIds.push(category.id);
+    }
+    for (const type of category.types) {
+      if (terms.every((term) => termMatchesWordPrefix(type.name, term))) {
+        typeMatches.push({ categoryId: category.id, categoryType: String(type.id) });
+      }
+    }
+  }
+
+  return { categoryIds, typeMatches };
+};
+
+const buildCategoryScore = (categoryIds, typeMatches) => {
+  const parts = [];
+  if (categoryIds.length) {
+    parts.push(`CASE WHEN \`Music\`.\`categoryId\` IN (${categoryIds.map((id) => sequelize.escape(id)).join(', ')}) THEN 1 ELSE 0 END`);
+  }
+  if (typeMatches.length) {
+    const typeConditions = typeMatches
+      .map(
+        ({ categoryId, categoryType }) =>
+          `(\`Music\`.\`categoryId\` = ${sequelize.escape(categoryId)} AND \`Music\`.\`categoryType\` = ${sequelize.escape(categoryType)})`,
+      )
+      .join(' OR ');
+    parts.push(`CASE WHEN ${typeConditions} THEN 1.5 ELSE 0 END`);
+  }
+  return parts;
+};
+
+/**
+ * Search the catalog by title, artist, description, category name and
+ * category type name. Results are ranked by FULLTEXT relevance plus a bonus
+ * for category/type matches and titles that start with the first term.
+ */
+export async function searchCatalog({ terms, limit, page, where = {} }) {
+  const fullTextTerms = terms.filter((term) => term.length >= MIN_FULLTEXT_TERM_LENGTH);
+  const shortTerms = terms.filter((term) => term.length < MIN_FULLTEXT_TERM_LENGTH);
+  const { categoryIds, typeMatches } = await findMatchingCategories(terms);
+
+  const textConditions = [];
+  const scoreParts = [];
+
+  if (fullTextTerms.length) {
+    const matchExpr = `MATCH(${MATCH_COLUMNS}) AGAINST (${sequelize.escape(toBooleanQuery(fullTextTerms))} IN BOOLEAN MODE)`;
+    textConditions.push(sequelize.where(sequelize.literal(matchExpr), Op.gt, 0));
+    scoreParts.push(matchExpr);
+  }
+  // Terms below the FULLTEXT token size fall back to prefix LIKE on title/artist
+  for (const term of shortTerms) {
+    textConditions.push({
+      [Op.or]: [{ title: { [Op.like]: `${escapeLike(term)}%` } }, { artist: { [Op.like]: `${escapeLike(term)}%` } }],
+    });
+  }
+
+  const matchConditions = [{ [Op.and]: textConditions }];
+  if (categoryIds.length) {
+    matchConditions.push({ categoryId: { [Op.in]: categoryIds } });
+  }
+  for (const typeMatch of typeMatches) {
+    matchConditions.push(typeMatch);
+  }
+
+  scoreParts.push(...buildCategoryScore(categoryIds, typeMatches));
+  scoreParts.push(
+    `CASE WHEN \`Music\`.\`title\` LIKE ${sequelize.escape(`${escapeLike(terms[0])}%`)} THEN 2 ELSE 0 END`,
+  );
+  const relevance = sequelize.literal(scoreParts.join(' + '));
+
+  const searchWhere = { [Op.and]: [where, { [Op.or]: matchConditions }] };
+
+  const [total, rows] = await Promise.all([
+    Music.count({ where: searchWhere }),
+    Music.findAll({
+      where: searchWhere,
+      attributes: { include: [[relevance, 'relevance']] },
+      include: [categoryInclude],
+      order: [
+        [sequelize.literal('relevance'), 'DESC'],
+        ['title', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    }),
+  ]);
+
+  return {
+    items: rows,
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+      nextPage: page * limit < total ? page + 1 : null,
+    },
+  };
+}
+
+/**
+ * Build the highlight map for a search hit: only fields that matched are present.
+ */
+export function buildHighlights(music, terms) {
+  const categoryType = music.category?.types?.find((type) => type.id == music.categoryType);
+  const fields = {
+    title: music.title,
+    artist: music.artist,
+    description: music.description,
+    category: music.category?.name,
+    categoryType: categoryType?.name,
+  };
+
+  const highlights = {};
+  for (const [field, value] of Object.entries(fields)) {
+    const highlighted = highlightText(value, terms);
+    if (highlighted) highlights[field] = highlighted;
+  }
+  return highlights;
+}
@@ -0,0 +1,14 @@
+import asyncHandler from 'express-async-handler';
+import { probeAudioFile } from '../services/audioMetadataService.js';
+
+// Probe the uploaded audio file (if any) and attach the result as
+// req.files.file[0].metadata. Runs after the multer upload middleware.
+const probeUploadedAudio = asyncHandler(async (req, res, next) => {
+  const audioFile = req.files?.file?.[0];
+  if (audioFile) {
+    audioFile.metadata = await probeAudioFile(audioFile.path);
+  }
+  next();
+});
+
+export { probeUploadedAudio };
@@ -37,4 +37,29 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-export { protect };
+// Attach req.user when a valid token is present, but never reject the request.
+// Used on public routes whose response is personalised for signed-in users.
+const optionalProtect = asyncHandler(async (req, res, next) => {
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies?.jwt) {
+    token = req.cookies.jwt;
+  }
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await User.findByPk(decoded.id, {
+        attributes: { exclude: ['password'] }
+      });
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  next();
+});
+
+export { protect, optionalProtect };
@@ -0,0 +1,68 @@
+import asyncHandler from 'express-async-handler';
+import fs from 'fs';
+import {
+  findUploadSession,
+  getAssembledPath,
+  discardUploadSession,
+} from '../services/chunkedUploadService.js';
+import UploadError from '../utils/uploadError.js';
+
+// Let endpoints that take multipart files also accept completed resumable
+// uploads: body fields `uploadId` (audio) and `thumbnailUploadId` are
+// resolved into the same req.files shape multer produces. A session is
+// removed once its file has been persisted; otherwise it stays available
+// for a retry until it expires.
+const attachChunkedUploads = asyncHandler(async (req, res, next) => {
+  const references = [
+    ['file', req.body?.uploadId],
+    ['thumbnail', req.body?.thumbnailUploadId],
+  ];
+
+  const sessions = [];
+  for (const [fieldName, uploadId] of references) {
+    if (!uploadId || req.files?.[fieldName]?.length) continue;
+
+    let session;
+    try {
+      session = await findUploadSession(uploadId, req.user.id);
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return res.status(error.statusCode).json({ message: error.message, uploadId });
+      }
+      throw error;
+    }
+    if (session.status !== 'complete' || session.fieldName !== fieldName) {
+      return res.status(409).json({ message: `Upload ${uploadId} is not a completed ${fieldName} upload` });
+    }
+
+    req.files = req.files || {};
+    req.files[fieldName] = [
+      {
+        fieldname: fieldName,
+        originalname: session.originalName,
+        mimetype: session.mimeType,
+        filename: session.filename,
+        path: getAssembledPath(session),
+        size: Number(session.totalSize),
+        resumable: true,
+      },
+    ];
+    sessions.push(session);
+  }
+
+  if (sessions.length) {
+    res.on('close', () => {
+      for (const session of sessions) {
+        if (!fs.existsSync(getAssembledPath(session))) {
+          discardUploadSession(session).catch((error) => {
+            console.error('Failed to remove upload session:', error.message);
+          });
+        }
+      }
+    });
+  }
+
+  next();
+});
+
+export { attachChunkedUploads };
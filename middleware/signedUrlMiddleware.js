@@ -0,0 +1,43 @@
+import asyncHandler from 'express-async-handler';
+import User from '../models/userModel.js';
+import { protect } from './authMiddleware.js';
+import { verifyMediaUrl } from '../utils/mediaSignature.js';
+
+// Authenticate media requests by signed URL (for players and CDNs that cannot
+// send the Authorization header), falling back to the regular JWT check.
+// A valid signature carrying a uid loads that user into req.user.
+const protectMedia = asyncHandler(async (req, res, next) => {
+  if (!req.query.sig) {
+    return protect(req, res, next);
+  }
+
+  const result = verifyMediaUrl(req.baseUrl + req.path, req.query);
+  if (!result.valid) {
+    res.status(403);
+    throw new Error(`Invalid media URL: ${result.reason}`);
+  }
+
+  if (result.userId) {
+    req.user = await User.findByPk(result.userId, {
+      attributes: { exclude: ['password'] }
+    });
+    if (!req.user) {
+      res.status(401);
+      throw new Error('User not found');
+    }
+  }
+
+  next();
+});
+
+// Only accept requests carrying a valid signature (storage signed URLs)
+const requireSignedUrl = (req, res, next) => {
+  const result = verifyMediaUrl(req.baseUrl + req.path, req.query);
+  if (!result.valid) {
+    res.status(403);
+    return next(new Error(`Invalid media URL: ${result.reason}`));
+  }
+  next();
+};
+
+export { protectMedia, requireSignedUrl };
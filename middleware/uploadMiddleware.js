@@ -2,41 +2,156 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { incomingDir } from '../config/storage.js';
+import { uploadRules } from '../config/upload.js';
+import {
+  getMaxUploadSize,
+  uploadSizeError,
+  validateUploadedFile,
+} from '../services/uploadValidationService.js';
+import UploadError from '../utils/uploadError.js';
 
-// Use Render persistent disk path or local for development
-const uploadsDir = process.env.RENDER_DISK_PATH 
-  ? path.join(process.env.RENDER_DISK_PATH, 'uploads')
-  : 'uploads';
-
-// Ensure uploads directory exists
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Files land in the incoming directory first; controllers hand them to the
+// storage backend (see services/storageService.js)
+if (!fs.existsSync(incomingDir)) {
+  fs.mkdirSync(incomingDir, { recursive: true });
 }
 
+// Unique, filesystem-safe name for an uploaded file
+const buildUploadFilename = (originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = path.extname(originalname).replace(/[^a-zA-Z0-9.]/g, '');
+  const baseName = path
+    .basename(originalname, path.extname(originalname))
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .replace(/[^a-zA-Z0-9-_]/g, ''); // Remove special characters
+  return `${uniqueSuffix}_${baseName}${ext}`;
+};
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, incomingDir);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const baseName = path
-      .basename(file.originalname, ext)
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/[^a-zA-Z0-9-_]/g, ''); // Remove special characters
-    const fileName = `${uniqueSuffix}_${baseName}${ext}`;
-    cb(null, fileName);
+    cb(null, buildUploadFilename(file.originalname));
   },
 });
 
-const upload = multer({
-  storage: storage,
+// Disk storage that enforces each field's own size limit (config/upload.js)
+// while the file streams in, so an oversized thumbnail is cut off at its
+// limit instead of being written out in full first
+const limitedStorage = {
+  _handleFile(req, file, cb) {
+    const filename = buildUploadFilename(file.originalname);
+    const filePath = path.join(incomingDir, filename);
+    const maxSize = uploadRules[file.fieldname]?.maxSize ?? getMaxUploadSize();
+    const outStream = fs.createWriteStream(filePath);
+    let size = 0;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      // Drain the rest of the file so the request can still be answered
+      file.stream.unpipe(outStream);
+      file.stream.resume();
+      outStream.destroy();
+      fs.promises.rm(filePath, { force: true }).finally(() => cb(error));
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) fail(uploadSizeError(file.fieldname));
+    });
+    file.stream.on('error', fail);
+    outStream.on('error', fail);
+    outStream.on('finish', () => {
+      if (!failed) cb(null, { destination: incomingDir, filename, path: filePath, size });
+    });
+    file.stream.pipe(outStream);
+  },
+  _removeFile(req, file, cb) {
+    fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+  },
+};
+
+const multerUpload = multer({
+  storage: limitedStorage,
   limits: {
-    fileSize: 2 * 1024 * 1024 * 1024, // 2GB limit
+    fileSize: getMaxUploadSize(), // Overall cap; each field's own limit is applied by limitedStorage
     files: 2, // Max 2 files (audio + thumbnail)
   },
 }).fields([
   { name: 'file', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 },
 ]);
+
+// Remove incoming files that were not moved into storage (validation
+// failures, errors) once the response is done. Resumable uploads are kept
+// for a retry and expire on their own.
+const discardIncomingFiles = (files) => {
+  for (const file of Object.values(files || {}).flat()) {
+    if (file.resumable) continue;
+    fs.promises.unlink(file.path).catch((error) => {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove incoming upload:', error.message);
+      }
+    });
+  }
+};
+
+const withIncomingCleanup = (middleware) => (req, res, next) => {
+  res.on('close', () => discardIncomingFiles(req.files));
+  middleware(req, res, next);
+};
+
+// Check every file against its field's allowed formats and size (see
+// config/upload.js). A rejected request has its incoming files removed right
+// away instead of when the response closes.
+const withUploadValidation = (middleware) => (req, res, next) => {
+  middleware(req, res, async (err) => {
+    try {
+      if (err) {
+        throw err.code === 'LIMIT_FILE_SIZE' ? uploadSizeError(err.field) : err;
+      }
+      for (const file of Object.values(req.files || {}).flat()) {
+        await validateUploadedFile(file);
+      }
+      next();
+    } catch (error) {
+      discardIncomingFiles(req.files);
+      next(error);
+    }
+  });
+};
+
+// Run an upload middleware and answer its errors: rejected files get a
+// 413/415 body naming the field and limits, malformed requests a 400
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof UploadError) {
+      return res.status(err.statusCode).json({ message: err.message, ...err.details });
+    }
+    return res.status(400).json({ message: 'File upload error', error: err.message });
+  });
+};
+
+const upload = withIncomingCleanup(withUploadValidation(multerUpload));
+
+// Bulk catalog import: a ZIP of audio/artwork plus an optional separate manifest
+const importUpload = withIncomingCleanup(
+  multer({
+    storage: storage,
+    limits: {
+      fileSize: 4 * 1024 * 1024 * 1024, // 4GB, an album of long-form tracks
+      files: 2,
+    },
+  }).fields([
+    { name: 'archive', maxCount: 1 },
+    { name: 'manifest', maxCount: 1 },
+  ]),
+);
+
+export { buildUploadFilename, importUpload, handleUpload };
 export default upload; // Change to default export
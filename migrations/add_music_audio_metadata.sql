@@ -0,0 +1,10 @@
+-- Add technical audio metadata columns to music table
+-- Run this SQL in your MySQL database
+
+ALTER TABLE music
+ADD COLUMN codec VARCHAR(50) NULL AFTER duration,
+ADD COLUMN bitrate INT NULL AFTER codec,
+ADD COLUMN sampleRate INT NULL AFTER bitrate,
+ADD COLUMN channels INT NULL AFTER sampleRate,
+ADD COLUMN bitsPerSample INT NULL AFTER channels,
+ADD COLUMN fileSize BIGINT NULL AFTER bitsPerSample;
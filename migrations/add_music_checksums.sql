@@ -0,0 +1,8 @@
+-- Add SHA-256 content hashes of the audio and artwork to music table
+-- Run this SQL in your MySQL database, then `npm run checksums:backfill`
+
+ALTER TABLE music
+ADD COLUMN audioChecksum CHAR(64) NULL AFTER fileSize,
+ADD COLUMN thumbnailChecksum CHAR(64) NULL AFTER audioChecksum,
+ADD INDEX idx_music_audio_checksum (audioChecksum),
+ADD INDEX idx_music_thumbnail_checksum (thumbnailChecksum);
@@ -0,0 +1,5 @@
+-- Add FULLTEXT index used by GET /api/music/search
+-- Run this SQL in your MySQL database
+
+ALTER TABLE music
+ADD FULLTEXT INDEX ft_music_search (title, artist, description);
@@ -0,0 +1,5 @@
+-- Add HLS variant details to music_renditions
+-- Run this SQL in your MySQL database
+
+ALTER TABLE music_renditions
+ADD COLUMN variants JSON NULL AFTER fileSize;
@@ -0,0 +1,6 @@
+-- Add soft delete (trash) column to music table
+-- Run this SQL in your MySQL database
+
+ALTER TABLE music
+ADD COLUMN deletedAt DATETIME NULL AFTER updatedAt,
+ADD INDEX idx_music_deleted_at (deletedAt);
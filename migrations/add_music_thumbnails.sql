@@ -0,0 +1,5 @@
+-- Add thumbnail renditions column to music table
+-- Run this SQL in your MySQL database
+
+ALTER TABLE music
+ADD COLUMN thumbnails JSON NULL AFTER thumbnailUrl;
@@ -0,0 +1,15 @@
+-- Migration: Create favorites table for tracks liked by users
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS favorites (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userId INT NOT NULL,
+  musicId INT NOT NULL,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_favorites_user_music (userId, musicId),
+  INDEX idx_favorites_user_created (userId, createdAt),
+  INDEX idx_favorites_music (musicId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- Migration: Create music_co_listens table for similar track recommendations
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS music_co_listens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  musicId INT NOT NULL,
+  similarMusicId INT NOT NULL,
+  score FLOAT NOT NULL,
+  listeners INT NOT NULL,
+  createdAt DATETIME NOT NULL,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  FOREIGN KEY (similarMusicId) REFERENCES music(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_music_co_listens_pair (musicId, similarMusicId),
+  INDEX idx_music_co_listens_music_score (musicId, score),
+  INDEX idx_music_co_listens_similar (similarMusicId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- Migration: Create music_file_versions table for audio and artwork version history
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS music_file_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  musicId INT NOT NULL,
+  kind ENUM('audio', 'thumbnail') NOT NULL,
+  version INT NOT NULL,
+  fileUrl VARCHAR(255) NOT NULL,
+  fileSize BIGINT,
+  checksum VARCHAR(64),
+  metadata JSON,
+  notes TEXT,
+  uploadedById INT,
+  restoredFromVersion INT,
+  purgedAt DATETIME,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  FOREIGN KEY (uploadedById) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE INDEX idx_music_file_versions_music_kind_version (musicId, kind, version)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,19 @@
+-- Migration: Create music_play_daily table for daily play counts and trending
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS music_play_daily (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  musicId INT NOT NULL,
+  playDate DATE NOT NULL,
+  plays INT NOT NULL DEFAULT 0,
+  listeners INT NOT NULL DEFAULT 0,
+  completions INT NOT NULL DEFAULT 0,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_music_play_daily_music_date (musicId, playDate),
+  INDEX idx_music_play_daily_date (playDate)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- The nightly rollup reads play_events one day at a time
+ALTER TABLE play_events ADD INDEX idx_play_events_time (clientTimestamp);
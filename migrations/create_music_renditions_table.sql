@@ -0,0 +1,22 @@
+-- Migration: Create music_renditions table for transcoded audio renditions
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS music_renditions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  musicId INT NOT NULL,
+  profile VARCHAR(50) NOT NULL,
+  status ENUM('pending', 'processing', 'ready', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+  fileUrl VARCHAR(255),
+  codec VARCHAR(50),
+  bitrate INT,
+  fileSize BIGINT,
+  attempts INT NOT NULL DEFAULT 0,
+  error TEXT,
+  startedAt DATETIME,
+  completedAt DATETIME,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_music_renditions_music_profile (musicId, profile),
+  INDEX idx_music_renditions_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
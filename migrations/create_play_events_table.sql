@@ -0,0 +1,19 @@
+-- Migration: Create play_events table for listening history
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS play_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  userId INT NOT NULL,
+  musicId INT NOT NULL,
+  eventId VARCHAR(64) NOT NULL,
+  type ENUM('start', 'progress', 'pause', 'complete', 'skip') NOT NULL,
+  position FLOAT NOT NULL DEFAULT 0,
+  clientTimestamp DATETIME NOT NULL,
+  deviceId VARCHAR(128) NOT NULL,
+  createdAt DATETIME NOT NULL,
+  FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_play_events_user_event (userId, eventId),
+  INDEX idx_play_events_user_time (userId, clientTimestamp),
+  INDEX idx_play_events_music_time (musicId, clientTimestamp)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
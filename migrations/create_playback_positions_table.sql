@@ -0,0 +1,18 @@
+-- Migration: Create playback_positions table for cross-device resume
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS playback_positions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userId INT NOT NULL,
+  musicId INT NOT NULL,
+  position FLOAT NOT NULL DEFAULT 0,
+  clientTimestamp DATETIME(3) NOT NULL,
+  deviceId VARCHAR(128),
+  completedAt DATETIME,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_playback_positions_user_music (userId, musicId),
+  INDEX idx_playback_positions_user_time (userId, clientTimestamp)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
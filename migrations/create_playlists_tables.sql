@@ -0,0 +1,30 @@
+-- Migration: Create playlists and playlist_tracks tables for user playlists
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS playlists (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userId INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_playlists_user (userId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- musicId becomes NULL when a track is purged; the copied title/artist keep the entry visible
+CREATE TABLE IF NOT EXISTS playlist_tracks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  playlistId INT NOT NULL,
+  musicId INT,
+  position INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  artist VARCHAR(255) NOT NULL,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (playlistId) REFERENCES playlists(id) ON DELETE CASCADE,
+  FOREIGN KEY (musicId) REFERENCES music(id) ON DELETE SET NULL,
+  UNIQUE INDEX idx_playlist_tracks_playlist_music (playlistId, musicId),
+  INDEX idx_playlist_tracks_playlist_position (playlistId, position),
+  INDEX idx_playlist_tracks_music (musicId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- Migration: Create upload_sessions table for resumable chunked uploads
+-- Run this SQL script in your MySQL database
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id CHAR(36) BINARY PRIMARY KEY,
+  userId INT NOT NULL,
+  fieldName ENUM('file', 'thumbnail') NOT NULL DEFAULT 'file',
+  originalName VARCHAR(255) NOT NULL,
+  mimeType VARCHAR(255),
+  totalSize BIGINT NOT NULL,
+  chunkSize INT NOT NULL,
+  totalChunks INT NOT NULL,
+  sha256 VARCHAR(64),
+  filename VARCHAR(255) NOT NULL,
+  status ENUM('pending', 'complete') DEFAULT 'pending',
+  expiresAt DATETIME NOT NULL,
+  createdAt DATETIME NOT NULL,
+  updatedAt DATETIME NOT NULL,
+  FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_upload_sessions_user (userId),
+  INDEX idx_upload_sessions_expires (expiresAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
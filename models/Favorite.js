@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './userModel.js';
+import Music from './Music.js';
+
+// A track a listener has liked; one row per user and track
+const Favorite = sequelize.define(
+  'Favorite',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: 'id',
+      },
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Favorite',
+    tableName: 'favorites',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['userId', 'musicId'] },
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['musicId'] },
+    ],
+  },
+);
+
+Favorite.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Favorite.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+Music.hasMany(Favorite, { foreignKey: 'musicId', as: 'favorites', onDelete: 'CASCADE' });
+
+export default Favorite;
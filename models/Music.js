@@ -40,6 +40,11 @@ const Music = sequelize.define(
       type: DataTypes.STRING,
       defaultValue: '',
     },
+    // Resized artwork keyed by size then format: { "512": { "webp": url, "jpeg": url } }
+    thumbnails: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
     duration: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -47,6 +52,40 @@ const Music = sequelize.define(
         min: 1,
       },
     },
+    // Technical metadata probed from the uploaded audio file
+    codec: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    bitrate: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    sampleRate: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    channels: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    bitsPerSample: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    fileSize: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    },
+    // SHA-256 of the stored audio and artwork, used to detect duplicate uploads
+    audioChecksum: {
+      type: DataTypes.CHAR(64),
+      allowNull: true,
+    },
+    thumbnailChecksum: {
+      type: DataTypes.CHAR(64),
+      allowNull: true,
+    },
     releaseDate: {
       type: DataTypes.DATE,
     },
@@ -72,10 +111,16 @@ const Music = sequelize.define(
     modelName: 'Music',
     tableName: 'music',
     timestamps: true,
+    // Deleted tracks go to the trash (deletedAt) and are purged later, see musicTrashService
+    paranoid: true,
     indexes: [
       { fields: ['categoryId'] },
+      { fields: ['deletedAt'] },
+      { fields: ['audioChecksum'] },
+      { fields: ['thumbnailChecksum'] },
       { fields: ['userId'] },
       { fields: ['title'] },
+      { type: 'FULLTEXT', name: 'ft_music_search', fields: ['title', 'artist', 'description'] },
     ],
   },
 );
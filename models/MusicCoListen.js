@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from './Music.js';
+
+// Item-to-item co-listening: how strongly listeners of `musicId` also play
+// `similarMusicId`. Rebuilt nightly from play_events by similarMusicService.
+const MusicCoListen = sequelize.define(
+  'MusicCoListen',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    similarMusicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    // Cosine similarity of the two tracks' listener sets, 0 to 1
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    // Users who played both tracks
+    listeners: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MusicCoListen',
+    tableName: 'music_co_listens',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['musicId', 'similarMusicId'] },
+      { fields: ['musicId', 'score'] },
+      { fields: ['similarMusicId'] },
+    ],
+  },
+);
+
+MusicCoListen.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+MusicCoListen.belongsTo(Music, { foreignKey: 'similarMusicId', as: 'similarMusic' });
+
+export default MusicCoListen;
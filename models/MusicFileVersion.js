@@ -0,0 +1,87 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './userModel.js';
+import Music from './Music.js';
+
+// One stored file a track has used for its audio or artwork (see
+// mediaVersionService). The highest version of each kind is the current file;
+// rolling back adds a new version pointing at the restored file.
+const MusicFileVersion = sequelize.define(
+  'MusicFileVersion',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    kind: {
+      type: DataTypes.ENUM('audio', 'thumbnail'),
+      allowNull: false,
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    fileUrl: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    fileSize: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    },
+    // SHA-256 of the stored bytes, hex encoded
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    // Track fields that belong to the file: probed audio metadata, or the
+    // artwork's thumbnail renditions
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    uploadedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: 'id',
+      },
+    },
+    restoredFromVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // Set when retention removed the stored file; the row stays as history
+    purgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MusicFileVersion',
+    tableName: 'music_file_versions',
+    timestamps: true,
+    indexes: [{ unique: true, fields: ['musicId', 'kind', 'version'] }],
+  },
+);
+
+MusicFileVersion.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+MusicFileVersion.belongsTo(User, { foreignKey: 'uploadedById', as: 'uploadedBy' });
+Music.hasMany(MusicFileVersion, { foreignKey: 'musicId', as: 'fileVersions' });
+
+export default MusicFileVersion;
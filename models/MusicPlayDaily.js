@@ -0,0 +1,56 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from './Music.js';
+
+// Plays of a track on one UTC day, built nightly from play_events by
+// playStatsService so counts and trending never scan raw events
+const MusicPlayDaily = sequelize.define(
+  'MusicPlayDaily',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    playDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    // `start` events
+    plays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Distinct users who started the track that day
+    listeners: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    completions: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MusicPlayDaily',
+    tableName: 'music_play_daily',
+    timestamps: true,
+    indexes: [{ unique: true, fields: ['musicId', 'playDate'] }, { fields: ['playDate'] }],
+  },
+);
+
+MusicPlayDaily.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+
+export default MusicPlayDaily;
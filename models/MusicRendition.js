@@ -0,0 +1,88 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from './Music.js';
+
+// Transcoded copy of a track's master file for one playback profile
+// (see transcodeService). Rows are created pending and filled in by the worker.
+const MusicRendition = sequelize.define(
+  'MusicRendition',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    profile: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    // skipped: the profile would not improve on the master (e.g. FLAC from an MP3)
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'ready', 'failed', 'skipped'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    fileUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    codec: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    bitrate: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    fileSize: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    },
+    // Multi-file renditions: HLS [{ bitrate, playlist, segmentPrefix, segmentCount }]
+    // or waveform [{ resolution, file, length }]
+    variants: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MusicRendition',
+    tableName: 'music_renditions',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['musicId', 'profile'] },
+      { fields: ['status'] },
+    ],
+  },
+);
+
+MusicRendition.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+Music.hasMany(MusicRendition, { foreignKey: 'musicId', as: 'renditions' });
+
+export default MusicRendition;
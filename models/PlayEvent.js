@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './userModel.js';
+import Music from './Music.js';
+
+// A playback event reported by a client. `eventId` is generated by the client
+// so a batch that is sent twice is only stored once.
+const PlayEvent = sequelize.define(
+  'PlayEvent',
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: 'id',
+      },
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    eventId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM('start', 'progress', 'pause', 'complete', 'skip'),
+      allowNull: false,
+    },
+    // Playback position in seconds
+    position: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // When the event happened on the device; createdAt is when it was received
+    clientTimestamp: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    deviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'PlayEvent',
+    tableName: 'play_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['userId', 'eventId'] },
+      { fields: ['userId', 'clientTimestamp'] },
+      { fields: ['musicId', 'clientTimestamp'] },
+      { fields: ['clientTimestamp'] },
+    ],
+  },
+);
+
+PlayEvent.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+PlayEvent.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+
+export default PlayEvent;
@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './userModel.js';
+import Music from './Music.js';
+
+// Where a listener stopped in a track, shared by all their devices. Updates
+// are last-writer-wins on `clientTimestamp`; a finished track is reset to 0.
+const PlaybackPosition = sequelize.define(
+  'PlaybackPosition',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: 'id',
+      },
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    // Seconds from the start of the track
+    position: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    clientTimestamp: {
+      type: DataTypes.DATE(3),
+      allowNull: false,
+    },
+    deviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'PlaybackPosition',
+    tableName: 'playback_positions',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['userId', 'musicId'] },
+      { fields: ['userId', 'clientTimestamp'] },
+    ],
+  },
+);
+
+PlaybackPosition.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+PlaybackPosition.belongsTo(Music, { foreignKey: 'musicId', as: 'music' });
+
+export default PlaybackPosition;
@@ -0,0 +1,42 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './userModel.js';
+
+// A listener's own ordered list of tracks (see PlaylistTrack)
+const Playlist = sequelize.define(
+  'Playlist',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: 'id',
+      },
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      defaultValue: '',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Playlist',
+    tableName: 'playlists',
+    timestamps: true,
+    indexes: [{ fields: ['userId'] }],
+  },
+);
+
+Playlist.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export default Playlist;
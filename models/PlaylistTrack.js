@@ -0,0 +1,63 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from './Music.js';
+import Playlist from './Playlist.js';
+
+// Entry of a playlist at a 0-based position. Title and artist are copied when
+// the track is added so an entry whose track was purged can still be shown
+// (musicId is then NULL).
+const PlaylistTrack = sequelize.define(
+  'PlaylistTrack',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    playlistId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Playlist,
+        key: 'id',
+      },
+    },
+    musicId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: Music,
+        key: 'id',
+      },
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    artist: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'PlaylistTrack',
+    tableName: 'playlist_tracks',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['playlistId', 'musicId'] },
+      { fields: ['playlistId', 'position'] },
+      { fields: ['musicId'] },
+    ],
+  },
+);
+
+PlaylistTrack.belongsTo(Playlist, { foreignKey: 'playlistId', as: 'playlist' });
+PlaylistTrack.belongsTo(Music, { foreignKey: 'musicId', as: 'music', onDelete: 'SET NULL' });
+Playlist.hasMany(PlaylistTrack, { foreignKey: 'playlistId', as: 'tracks', onDelete: 'CASCADE' });
+
+export default PlaylistTrack;
@@ -0,0 +1,78 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './userModel.js';
+
+// Resumable chunked upload in progress. Chunk data lives on disk under the
+// incoming directory; this row tracks what the upload should look like.
+const UploadSession = sequelize.define(
+  'UploadSession',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: 'id',
+      },
+    },
+    fieldName: {
+      type: DataTypes.ENUM('file', 'thumbnail'),
+      allowNull: false,
+      defaultValue: 'file',
+    },
+    originalName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    mimeType: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    totalSize: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+    },
+    chunkSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    totalChunks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Optional SHA-256 (hex) of the whole file, verified on completion
+    sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    // Name of the assembled file in the incoming directory
+    filename: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'complete'),
+      defaultValue: 'pending',
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'UploadSession',
+    tableName: 'upload_sessions',
+    timestamps: true,
+    indexes: [{ fields: ['userId'] }, { fields: ['expiresAt'] }],
+  },
+);
+
+UploadSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export default UploadSession;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getFavorites, likeMusic, unlikeMusic } from '../controllers/favoriteController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// The signed-in user's liked tracks
+router.get('/', protect, getFavorites);
+router.route('/:musicId').post(protect, likeMusic).delete(protect, unlikeMusic);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getMediaFile,
+  getIntegrityReport,
+  cleanupOrphanedMedia,
+} from '../controllers/mediaController.js';
+import { requireSignedUrl } from '../middleware/signedUrlMiddleware.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { adminOnly } from '../middleware/adminMiddleware.js';
+import { adminOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
+
+const router = express.Router();
+
+// Admin: reconcile stored files against database references
+router.get('/admin/integrity', protect, adminOnly, getIntegrityReport);
+router.post(
+  '/admin/integrity/cleanup',
+  adminOperationLimiter,
+  protect,
+  adminOnly,
+  cleanupOrphanedMedia,
+);
+
+router.get('/:key', requireSignedUrl, getMediaFile);
+
+export default router;
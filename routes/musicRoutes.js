@@ -5,40 +5,119 @@ import {
   updateMusic,
   deleteMusic,
   getMusicByCategory,
+  getAdminMusic,
+  getAdminMusicByCategory,
+  getUpcomingReleases,
+  searchMusic,
+  streamMusic,
+  downloadMusic,
+  getHlsMasterPlaylist,
+  getHlsVariantPlaylist,
+  getHlsSegment,
+  getMusicWaveform,
+  getMusicThumbnail,
+  getMusicThumbnailRendition,
   uploadFile,
   updateDatabaseUrls,
 } from '../controllers/musicController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+  getTranscodeOverview,
+  getMusicTranscodes,
+  retryMusicTranscodes,
+  retryFailedTranscodes,
+} from '../controllers/transcodeController.js';
+import { importCatalog } from '../controllers/importController.js';
+import { exportCatalog } from '../controllers/exportController.js';
+import {
+  getMusicVersions,
+  getMusicVersionFile,
+  restoreMusicVersion,
+} from '../controllers/versionController.js';
+import { getTrash, restoreMusic, purgeTrashedMusic } from '../controllers/trashController.js';
+import { getDuplicateGroups } from '../controllers/duplicateController.js';
+import { postPlayEvents } from '../controllers/playEventController.js';
+import { getTrending } from '../controllers/trendingController.js';
+import { getSimilarMusic } from '../controllers/similarController.js';
+import { getPlaybackPosition, putPlaybackPosition } from '../controllers/playbackPositionController.js';
+import { protect, optionalProtect } from '../middleware/authMiddleware.js';
+import { protectMedia, requireSignedUrl } from '../middleware/signedUrlMiddleware.js';
 import { requireSubscription } from '../middleware/subscriptionMiddleware.js';
 import { adminOnly } from '../middleware/adminMiddleware.js';
-import upload from '../middleware/uploadMiddleware.js';
+import upload, { importUpload, handleUpload } from '../middleware/uploadMiddleware.js';
+import { probeUploadedAudio } from '../middleware/audioMetadataMiddleware.js';
+import { attachChunkedUploads } from '../middleware/chunkedUploadMiddleware.js';
 import { adminOperationLimiter, userOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
 
 const router = express.Router();
 
 // Admin routes (no subscription required)
-router.get('/admin', protect, adminOnly, getMusic);
-router.get('/admin/category/:categoryId', protect, adminOnly, getMusicByCategory);
+router.get('/admin', protect, adminOnly, getAdminMusic);
+router.get('/admin/category/:categoryId', protect, adminOnly, getAdminMusicByCategory);
+router.get('/admin/upcoming', protect, adminOnly, getUpcomingReleases);
+router.get('/admin/export', adminOperationLimiter, protect, adminOnly, exportCatalog);
+router.get('/admin/trash', protect, adminOnly, getTrash);
+router.get('/admin/duplicates', protect, adminOnly, getDuplicateGroups);
+router.delete('/admin/trash/:id', adminOperationLimiter, protect, adminOnly, purgeTrashedMusic);
+router.post('/:id/restore', adminOperationLimiter, protect, adminOnly, restoreMusic);
+router.get('/admin/transcodes', protect, adminOnly, getTranscodeOverview);
+router.post(
+  '/admin/transcodes/retry-failed',
+  adminOperationLimiter,
+  protect,
+  adminOnly,
+  retryFailedTranscodes,
+);
+router
+  .route('/:id/transcodes')
+  .get(protect, adminOnly, getMusicTranscodes)
+  .post(adminOperationLimiter, protect, adminOnly, retryMusicTranscodes);
+router.get('/:id/versions', protect, adminOnly, getMusicVersions);
+router.get('/:id/versions/:versionId/file', protectMedia, adminOnly, getMusicVersionFile);
+router.post('/:id/versions/:versionId/restore', adminOperationLimiter, protect, adminOnly, restoreMusicVersion);
+
+// Public catalog routes (media URLs are signed for the caller when a token is sent)
+router.get('/', optionalProtect, getMusic);
+router.get('/search', optionalProtect, searchMusic);
+router.get('/trending', optionalProtect, getTrending);
+router.get('/category/:categoryId', optionalProtect, getMusicByCategory);
+router.get('/:id/similar', optionalProtect, getSimilarMusic);
+
+// Playback events from players, sent in batches, and cross-device resume positions
+router.post('/events', protect, postPlayEvents);
+router.route('/:id/position').get(protect, getPlaybackPosition).put(protect, putPlaybackPosition);
+
+// Media (signed URL or JWT). Audio requires a subscription, admins can preview everything
+router.get('/:id/stream', protectMedia, requireSubscription, streamMusic);
+router.get('/:id/download', protectMedia, requireSubscription, downloadMusic);
+router.get('/:id/hls/master.m3u8', protectMedia, requireSubscription, getHlsMasterPlaylist);
+router.get('/:id/hls/:variant.m3u8', protectMedia, requireSubscription, getHlsVariantPlaylist);
+// Segment URLs are only handed out by the subscription-checked playlist above
+router.get('/:id/hls/segments/:segment', requireSignedUrl, getHlsSegment);
+router.get('/:id/waveform', protectMedia, getMusicWaveform);
+router.get('/:id/thumbnail', protectMedia, getMusicThumbnail);
+router.get('/:id/thumbnails/:size.:format', protectMedia, getMusicThumbnailRendition);
 
-// Public/User routes (open access for music streaming)
-router.get('/', getMusic);
-router.get('/category/:categoryId', getMusicByCategory);
 router.post(
   '/upload',
   adminOperationLimiter, // More lenient rate limit for admin operations
   protect,
   adminOnly,
-  (req, res, next) => {
-    upload(req, res, (err) => {
-      if (err) {
-        return res.status(400).json({ message: 'File upload error', error: err.message });
-      }
-      next();
-    });
-  },
+  handleUpload(upload),
+  attachChunkedUploads,
+  probeUploadedAudio,
   uploadFile,
 ); // Bulk file upload
 
+// Bulk import from a ZIP + manifest (preview by default, dryRun=false to commit)
+router.post(
+  '/import',
+  adminOperationLimiter,
+  protect,
+  adminOnly,
+  handleUpload(importUpload),
+  importCatalog,
+);
+
 // Update database URLs from local to production
 router.post('/update-urls', adminOperationLimiter, protect, adminOnly, updateDatabaseUrls);
 
@@ -47,14 +126,9 @@ router.post(
   adminOperationLimiter, // More lenient rate limit for admin operations
   protect,
   adminOnly,
-  (req, res, next) => {
-    upload(req, res, (err) => {
-      if (err) {
-        return res.status(400).json({ message: 'File upload error', error: err.message });
-      }
-      next();
-    });
-  },
+  handleUpload(upload),
+  attachChunkedUploads,
+  probeUploadedAudio,
   createMusic,
 );
 router
@@ -64,14 +138,9 @@ router
     adminOperationLimiter, // More lenient rate limit for admin operations
     protect,
     adminOnly,
-    (req, res, next) => {
-      upload(req, res, (err) => {
-        if (err) {
-          return res.status(400).json({ message: 'File upload error', error: err.message });
-        }
-        next();
-      });
-    },
+    handleUpload(upload),
+    attachChunkedUploads,
+    probeUploadedAudio,
     updateMusic,
   );
 
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getMyPlaylists,
+  createPlaylist,
+  getPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistTracks,
+  removePlaylistTrack,
+  reorderPlaylistTracks,
+  duplicatePlaylist,
+} from '../controllers/playlistController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Playlists belong to the signed-in user; every route is scoped to req.user
+router.route('/').get(protect, getMyPlaylists).post(protect, createPlaylist);
+router.route('/:id').get(protect, getPlaylist).put(protect, updatePlaylist).delete(protect, deletePlaylist);
+router.post('/:id/duplicate', protect, duplicatePlaylist);
+router.post('/:id/tracks', protect, addPlaylistTracks);
+router.put('/:id/tracks/order', protect, reorderPlaylistTracks);
+router.delete('/:id/tracks/:entryId', protect, removePlaylistTrack);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  initUpload,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  abortUpload,
+} from '../controllers/uploadController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { adminOnly } from '../middleware/adminMiddleware.js';
+import { adminOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
+
+const router = express.Router();
+
+// Resumable chunked uploads (admin only). Chunk uploads are not rate limited
+// because a single large file is sent as hundreds of requests.
+router.post('/', adminOperationLimiter, protect, adminOnly, initUpload);
+router.get('/:uploadId', protect, adminOnly, getUploadStatus);
+router.put('/:uploadId/chunks/:index', protect, adminOnly, uploadChunk);
+router.post('/:uploadId/complete', adminOperationLimiter, protect, adminOnly, completeUpload);
+router.delete('/:uploadId', protect, adminOnly, abortUpload);
+
+export default router;
@@ -13,6 +13,8 @@ import {
   deleteUser,
   getBillingStatus,
 } from '../controllers/userController.js';
+import { getHistory } from '../controllers/playEventController.js';
+import { getContinueListening } from '../controllers/playbackPositionController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { adminOnly } from '../middleware/adminMiddleware.js';
 
@@ -26,6 +28,8 @@ router.post('/forgot-password', forgotUserPassword);
 router.post('/reset-password/:token', resetPassword);
 router.route('/profile').get(protect, getUserProfile).put(protect, updateUserProfile);
 router.get('/billing', protect, getBillingStatus); // Get user billing status
+router.get('/history', protect, getHistory); // Recently played tracks
+router.get('/continue-listening', protect, getContinueListening); // Partly played tracks
 router.get('/:id', protect, adminOnly, getUserById); // Admin: Get specific user
 router.get('/', protect, adminOnly, getAllUsers); // Get all users
 router.delete('/:id', protect, adminOnly, deleteUser); // Delete a user
@@ -0,0 +1,66 @@
+// Compute SHA-256 content hashes for tracks uploaded before they were stored,
+// so duplicate detection also covers the existing catalog. Trashed tracks are
+// included. Only missing hashes are computed unless --force is passed.
+// Run: node scripts/backfillChecksums.js [--dry-run] [--force]
+
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import { sequelize } from '../config/db.js';
+import storage, { getStorageKey } from '../services/storageService.js';
+import { computeChecksum } from '../services/mediaVersionService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+
+// Hash a stored file, or null when it is missing from storage
+async function hashStoredFile(fileUrl) {
+  const key = getStorageKey(fileUrl);
+  if (!key || !(await storage.exists(key))) return null;
+  return computeChecksum(await storage.getStream(key));
+}
+
+async function backfillChecksums() {
+  await sequelize.authenticate();
+
+  const where = force ? {} : { [Op.or]: [{ audioChecksum: null }, { thumbnailChecksum: null }] };
+  const tracks = await Music.findAll({
+    where,
+    attributes: ['id', 'title', 'fileUrl', 'thumbnailUrl', 'audioChecksum', 'thumbnailChecksum'],
+    paranoid: false,
+    order: [['id', 'ASC']],
+  });
+  const summary = { processed: 0, missingFiles: 0, failed: 0 };
+
+  console.log(`Hashing media of ${tracks.length} tracks${dryRun ? ' (dry run)' : ''}`);
+
+  for (const music of tracks) {
+    try {
+      const changes = {};
+      if (force || !music.audioChecksum) {
+        changes.audioChecksum = await hashStoredFile(music.fileUrl);
+        if (!changes.audioChecksum) summary.missingFiles++;
+      }
+      if (music.thumbnailUrl && (force || !music.thumbnailChecksum)) {
+        changes.thumbnailChecksum = await hashStoredFile(music.thumbnailUrl);
+        if (!changes.thumbnailChecksum) summary.missingFiles++;
+      }
+      if (!dryRun) {
+        await music.update(changes);
+      }
+      summary.processed++;
+      console.log(`${dryRun ? 'Would update' : 'Updated'} #${music.id} ${music.title}`);
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed #${music.id} ${music.title}:`, error.message);
+    }
+  }
+
+  console.log('Backfill summary:', summary);
+  await sequelize.close();
+  process.exit(summary.failed ? 1 : 0);
+}
+
+backfillChecksums().catch((error) => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+// Queue transcodes, HLS packages and waveforms for tracks uploaded before
+// they existed, then process the queue in this process.
+// Missing and failed renditions are queued; --force regenerates them all.
+// Run: node scripts/backfillRenditions.js [--profiles=waveform,hls] [--force] [--queue-only]
+
+import Music from '../models/Music.js';
+import MusicRendition from '../models/MusicRendition.js';
+import { sequelize } from '../config/db.js';
+import { getEnabledProfiles, queueTranscodes, transcodeWorker } from '../services/transcodeService.js';
+
+const force = process.argv.includes('--force');
+const queueOnly = process.argv.includes('--queue-only');
+const profilesArg = process.argv.find((arg) => arg.startsWith('--profiles='));
+
+async function backfillRenditions() {
+  await sequelize.authenticate();
+
+  const enabled = getEnabledProfiles();
+  const profiles = profilesArg ? profilesArg.slice('--profiles='.length).split(',') : enabled;
+  const unknown = profiles.filter((name) => !enabled.includes(name));
+  if (unknown.length) {
+    console.error(`Unknown or disabled profile(s): ${unknown.join(', ')} (enabled: ${enabled.join(', ')})`);
+    process.exit(1);
+  }
+
+  const tracks = await Music.findAll({ attributes: ['id'], order: [['id', 'ASC']] });
+  console.log(`Queueing ${profiles.join(', ')} for ${tracks.length} tracks${force ? ' (force)' : ''}`);
+  for (const music of tracks) {
+    await queueTranscodes(music.id, { profiles, force, startWorker: false });
+  }
+
+  // With --queue-only the server's maintenance job picks the work up
+  if (!queueOnly) {
+    await transcodeWorker.kick();
+  }
+
+  const counts = await MusicRendition.count({ where: { profile: profiles }, group: ['status'] });
+  console.log('Rendition status:', Object.fromEntries(counts.map((row) => [row.status, row.count])));
+  await sequelize.close();
+  process.exit(counts.some((row) => row.status === 'failed' && row.count) ? 1 : 0);
+}
+
+backfillRenditions().catch((error) => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
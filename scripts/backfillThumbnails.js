@@ -0,0 +1,56 @@
+// Generate thumbnail renditions for tracks uploaded before renditions existed.
+// Tracks that already have renditions are skipped unless --force is passed
+// (e.g. after changing THUMBNAIL_SIZES).
+// Run: node scripts/backfillThumbnails.js [--dry-run] [--force]
+
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import { sequelize } from '../config/db.js';
+import storage from '../services/storageService.js';
+import { generateRenditionsFromStorage, getRenditionKeys } from '../services/thumbnailService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+
+async function backfillThumbnails() {
+  await sequelize.authenticate();
+
+  const where = { thumbnailUrl: { [Op.ne]: '' } };
+  if (!force) {
+    where.thumbnails = null;
+  }
+  const tracks = await Music.findAll({ where, attributes: ['id', 'title', 'thumbnailUrl', 'thumbnails'] });
+  const summary = { processed: 0, failed: 0 };
+
+  console.log(`Backfilling thumbnails for ${tracks.length} tracks${dryRun ? ' (dry run)' : ''}`);
+
+  for (const music of tracks) {
+    if (!music.thumbnailUrl) continue;
+    try {
+      if (!dryRun) {
+        const thumbnails = await generateRenditionsFromStorage(music.thumbnailUrl);
+        const previousKeys = getRenditionKeys(music.thumbnails);
+        await music.update({ thumbnails });
+        // Sizes dropped from THUMBNAIL_SIZES are no longer referenced
+        const currentKeys = new Set(getRenditionKeys(thumbnails));
+        for (const key of previousKeys.filter((key) => !currentKeys.has(key))) {
+          await storage.delete(key);
+        }
+      }
+      summary.processed++;
+      console.log(`${dryRun ? 'Would process' : 'Processed'} #${music.id} ${music.title}`);
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed #${music.id} ${music.title}:`, error.message);
+    }
+  }
+
+  console.log('Backfill summary:', summary);
+  await sequelize.close();
+  process.exit(summary.failed ? 1 : 0);
+}
+
+backfillThumbnails().catch((error) => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
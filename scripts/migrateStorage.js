@@ -0,0 +1,62 @@
+// Copy media files from the local uploads directory into the configured
+// storage backend (e.g. STORAGE_DRIVER=s3). Existing objects of the same size
+// are skipped, so the command can be re-run after an interruption.
+// Run: node scripts/migrateStorage.js [--dry-run] [--delete-source]
+
+import express from 'express';
+import { storageConfig } from '../config/storage.js';
+import { createStorageDriver } from '../services/storageService.js';
+import { FILE_FORMATS, detectFileFormat } from '../utils/fileSignature.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const deleteSource = process.argv.includes('--delete-source');
+
+// Content type as stored on upload: from the magic bytes for uploaded media,
+// else from the extension (renditions, HLS playlists and segments, waveforms)
+async function getContentType(key, localPath) {
+  const format = await detectFileFormat(localPath).catch(() => null);
+  return FILE_FORMATS[format]?.mimeType || express.static.mime.lookup(key);
+}
+
+async function migrateStorage() {
+  if (storageConfig.driver === 'local') {
+    console.error('STORAGE_DRIVER is local - set it to the target backend (e.g. s3) first');
+    process.exit(1);
+  }
+
+  const source = createStorageDriver('local');
+  const target = createStorageDriver(storageConfig.driver);
+  const summary = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+
+  console.log(`Migrating ${source.root} -> ${target.name}${dryRun ? ' (dry run)' : ''}`);
+
+  for await (const file of source.list()) {
+    try {
+      const existing = await target.stat(file.key);
+      if (existing && existing.size === file.size) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        // Copy rather than move so the local file survives until verified
+        const localPath = source.resolve(file.key);
+        await target.put(file.key, localPath, { contentType: await getContentType(file.key, localPath) });
+        if (deleteSource) {
+          await source.delete(file.key);
+        }
+      }
+      summary.copied++;
+      summary.bytes += file.size;
+      console.log(`${dryRun ? 'Would copy' : 'Copied'} ${file.key} (${file.size} bytes)`);
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed to copy ${file.key}:`, error.message);
+    }
+  }
+
+  console.log('Migration summary:', summary);
+  process.exit(summary.failed ? 1 : 0);
+}
+
+migrateStorage();
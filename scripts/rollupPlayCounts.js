@@ -0,0 +1,27 @@
+// Build the daily play counts used by trending and the admin listing now,
+// instead of waiting for the nightly job. Without --from, only days not
+// rolled up yet (plus the lookback window) are processed.
+// Run: node scripts/rollupPlayCounts.js [--from=YYYY-MM-DD]
+
+import { sequelize } from '../config/db.js';
+import { rollupPlayCounts } from '../services/playStatsService.js';
+
+const fromArg = process.argv.find((arg) => arg.startsWith('--from='));
+const from = fromArg ? fromArg.slice('--from='.length) : undefined;
+
+async function run() {
+  if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+    throw new Error('--from must be a date (YYYY-MM-DD)');
+  }
+  await sequelize.authenticate();
+
+  const summary = await rollupPlayCounts({ from });
+  console.log('Rollup summary:', summary);
+  await sequelize.close();
+  process.exit(0);
+}
+
+run().catch((error) => {
+  console.error('Rollup failed:', error.message);
+  process.exit(1);
+});
@@ -31,10 +31,16 @@ import paymentRoutes from './routes/paymentRoutes.js';
 import invoiceRoutes from './routes/invoiceRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import notificationScheduler from './services/notificationScheduler.js';
+import maintenanceScheduler from './services/maintenanceScheduler.js';
 import cors from 'cors';
 import { handleWebhook } from './controllers/subscriptionController.js';
 import userRoutes from './routes/userRoutes.js';
 import termsRoutes from './routes/termsRoutes.js';
+import mediaRoutes from './routes/mediaRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import playlistRoutes from './routes/playlistRoutes.js';
+import favoriteRoutes from './routes/favoriteRoutes.js';
+import { storageConfig, uploadsDir } from './config/storage.js';
 import helmet from 'helmet';
 import { fileOperationLimiter } from './middleware/rateLimiterMiddleware.js';
 
@@ -114,6 +120,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Range', 'If-Range'],
+  exposedHeaders: ['Content-Range', 'Content-Length', 'Accept-Ranges', 'ETag', 'Content-Disposition', 'X-Audio-Rendition'],
   optionsSuccessStatus: 200,
   preflightContinue: false,
 };
@@ -149,20 +156,24 @@ app.options('*', (req, res) => {
   res.sendStatus(200);
 });
 
-// Serve static uploads with proper CORS and range support for media
-const uploadsPath = process.env.RENDER_DISK_PATH 
-  ? path.join(process.env.RENDER_DISK_PATH, 'uploads')
-  : path.join(__dirname, 'uploads');
-
-app.use(
-  '/uploads',
-  cors(corsOptions),
-  (req, res, next) => {
-    res.setHeader('Accept-Ranges', 'bytes');
-    next();
-  },
-  express.static(uploadsPath),
-);
+// Serve legacy /uploads artwork links when media lives on the local disk.
+// Only artwork is public; audio goes through GET /api/music/:id/stream
+if (storageConfig.driver === 'local') {
+  const publicUploadExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+  app.use(
+    '/uploads',
+    cors(corsOptions),
+    (req, res, next) => {
+      if (!publicUploadExtensions.includes(path.extname(req.path).toLowerCase())) {
+        return res.status(404).end();
+      }
+      res.setHeader('Accept-Ranges', 'bytes');
+      next();
+    },
+    express.static(uploadsDir),
+  );
+}
 
 app.use((req, res, next) => {
   console.log('CORS headers set for:', req.method, req.url);
@@ -185,6 +196,10 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/terms', termsRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/favorites', favoriteRoutes);
 
 if (process.env.NODE_ENV === 'production') {
   const __dirname = path.resolve();
@@ -210,6 +225,9 @@ app.use(errorHandler);
 // Start notification scheduler
 notificationScheduler.start();
 
+// Start media maintenance jobs (upload cleanup, orphaned media collection)
+maintenanceScheduler.start();
+
 const server = app.listen(port, () => console.log(`Server started on port ${port}`));
 
 // Increase timeout for large file uploads (5 minutes)
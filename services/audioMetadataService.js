@@ -0,0 +1,62 @@
+import fs from 'fs';
+import { parseFile } from 'music-metadata';
+
+const LOSSLESS_CODECS = ['flac', 'alac', 'pcm', 'wav', 'aiff'];
+
+/**
+ * Classify technical metadata into a quality tier the players can badge:
+ * 'hi-res' (lossless above 48kHz or 16 bit), 'lossless' or 'standard'.
+ */
+export function getAudioQuality({ codec, sampleRate, bitsPerSample, lossless } = {}) {
+  const isLossless =
+    lossless === true ||
+    (codec && LOSSLESS_CODECS.some((name) => codec.toLowerCase().includes(name)));
+  if (!isLossless) return codec ? 'standard' : null;
+  if ((sampleRate && sampleRate > 48000) || (bitsPerSample && bitsPerSample > 16)) {
+    return 'hi-res';
+  }
+  return 'lossless';
+}
+
+/**
+ * Technical Music columns for a probed file. A file that could not be probed
+ * clears any values left from a previous file.
+ */
+export const getAudioMetadataFields = (metadata) => ({
+  codec: metadata?.codec ?? null,
+  bitrate: metadata?.bitrate ?? null,
+  sampleRate: metadata?.sampleRate ?? null,
+  channels: metadata?.channels ?? null,
+  bitsPerSample: metadata?.bitsPerSample ?? null,
+  fileSize: metadata?.fileSize ?? null,
+});
+
+/**
+ * Probe an audio file on disk for its technical metadata and embedded
+ * ID3/Vorbis tags. Returns null when the file cannot be parsed so callers
+ * can fall back to the values supplied by the admin.
+ */
+export async function probeAudioFile(filePath) {
+  try {
+    const [{ format, common }, stats] = await Promise.all([
+      parseFile(filePath, { duration: true, skipCovers: true }),
+      fs.promises.stat(filePath),
+    ]);
+
+    return {
+      duration: format.duration ? Math.max(1, Math.round(format.duration)) : null,
+      codec: format.codec || format.container || null,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      sampleRate: format.sampleRate || null,
+      channels: format.numberOfChannels || null,
+      bitsPerSample: format.bitsPerSample || null,
+      lossless: format.lossless === true,
+      fileSize: stats.size,
+      title: common.title?.trim() || null,
+      artist: common.artist?.trim() || null,
+    };
+  } catch (error) {
+    console.error(`Failed to probe audio file ${filePath}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,105 @@
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import Category from '../models/Category.js';
+import User from '../models/userModel.js';
+import { buildCatalogWhere, getPublishStatus } from '../helpers/musicQueryHelper.js';
+
+const BATCH_SIZE = 500;
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// Column order of the CSV export; JSON records use the same keys
+export const EXPORT_COLUMNS = [
+  'id',
+  'title',
+  'artist',
+  'categoryId',
+  'category',
+  'categoryTypeId',
+  'categoryType',
+  'duration',
+  'fileSize',
+  'codec',
+  'bitrate',
+  'status',
+  'publishDate',
+  'releaseDate',
+  'uploaderId',
+  'uploaderName',
+  'uploaderEmail',
+  'createdAt',
+  'updatedAt',
+];
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Flatten a Music row (with category and uploader) into an export record.
+ */
+export function toExportRecord(music, now = new Date()) {
+  const categoryType = music.category?.types?.find((type) => type.id == music.categoryType);
+  return {
+    id: music.id,
+    title: music.title,
+    artist: music.artist,
+    categoryId: music.categoryId,
+    category: music.category?.name ?? null,
+    categoryTypeId: music.categoryType ?? null,
+    categoryType: categoryType?.name ?? null,
+    duration: music.duration,
+    fileSize: music.fileSize == null ? null : Number(music.fileSize),
+    codec: music.codec,
+    bitrate: music.bitrate,
+    status: getPublishStatus(music, now),
+    publishDate: toIsoString(music.publishDate),
+    releaseDate: toIsoString(music.releaseDate),
+    uploaderId: music.userId,
+    uploaderName: music.user?.name ?? null,
+    uploaderEmail: music.user?.email ?? null,
+    createdAt: toIsoString(music.createdAt),
+    updatedAt: toIsoString(music.updatedAt),
+  };
+}
+
+/**
+ * Quote a CSV field when needed. Text starting with a formula character is
+ * prefixed with an apostrophe so spreadsheets don't evaluate titles as formulas.
+ */
+export function escapeCsvValue(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Walk the catalog matching the admin listing filters in id order, one batch
+ * at a time, so only BATCH_SIZE rows are held in memory.
+ */
+export async function* iterateCatalogExport(filters, { batchSize = BATCH_SIZE } = {}) {
+  const where = buildCatalogWhere(filters, 'admin');
+  const now = new Date();
+  let lastId = 0;
+
+  while (true) {
+    const rows = await Music.findAll({
+      where: { [Op.and]: [where, { id: { [Op.gt]: lastId } }] },
+      include: [
+        { model: Category, as: 'category', attributes: ['id', 'name', 'types'] },
+        { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+      ],
+      order: [['id', 'ASC']],
+      limit: batchSize,
+    });
+
+    for (const music of rows) {
+      yield toExportRecord(music, now);
+    }
+    if (rows.length < batchSize) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
@@ -0,0 +1,353 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import yauzl from 'yauzl';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { sequelize } from '../config/db.js';
+import { incomingDir } from '../config/storage.js';
+import Music from '../models/Music.js';
+import Category from '../models/Category.js';
+import { buildUploadFilename } from '../middleware/uploadMiddleware.js';
+import { persistUpload, deleteStoredFile } from './storageService.js';
+import { probeAudioFile, getAudioMetadataFields } from './audioMetadataService.js';
+import { processUploadedThumbnail, deleteThumbnailRenditions } from './thumbnailService.js';
+import { queueTranscodes } from './transcodeService.js';
+import { describeUploadedFile, recordFileVersion } from './mediaVersionService.js';
+import { assertUploadSize, validateUploadedFile } from './uploadValidationService.js';
+import UploadError from '../utils/uploadError.js';
+import sanitizeText from '../utils/sanitizeText.js';
+
+const MAX_ROWS = 500;
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json'];
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.m4a', '.aac', '.ogg', '.opus', '.aif', '.aiff'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif'];
+
+// Manifest headers are matched case-insensitively, ignoring spaces and underscores
+const COLUMN_ALIASES = {
+  title: 'title',
+  artist: 'artist',
+  category: 'category',
+  categoryname: 'category',
+  categorytype: 'categoryType',
+  type: 'categoryType',
+  description: 'description',
+  publishdate: 'publishDate',
+  releasedate: 'releaseDate',
+  duration: 'duration',
+  file: 'file',
+  audio: 'file',
+  filename: 'file',
+  thumbnail: 'thumbnail',
+  artwork: 'thumbnail',
+  image: 'thumbnail',
+};
+
+const openZip = promisify(yauzl.open);
+
+/**
+ * Open an import archive and index its files by name. Folders inside the
+ * ZIP are ignored, so the manifest refers to files by name only; names that
+ * occur twice are reported instead of guessed.
+ */
+export async function openImportArchive(zipPath) {
+  let zipfile;
+  try {
+    zipfile = await openZip(zipPath, { lazyEntries: true, autoClose: false });
+  } catch (error) {
+    throw new UploadError(400, `archive is not a valid ZIP file: ${error.message}`);
+  }
+
+  const entries = new Map();
+  const duplicates = new Set();
+  await new Promise((resolve, reject) => {
+    zipfile.on('entry', (entry) => {
+      const name = path.posix.basename(entry.fileName);
+      const isMetadata = entry.fileName.startsWith('__MACOSX/') || name.startsWith('.');
+      if (!entry.fileName.endsWith('/') && !isMetadata) {
+        if (entries.has(name)) duplicates.add(name);
+        entries.set(name, entry);
+      }
+      zipfile.readEntry();
+    });
+    zipfile.on('end', resolve);
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+
+  return { zipfile, entries, duplicates };
+}
+
+const openEntryStream = (zipfile, entry) => promisify(zipfile.openReadStream.bind(zipfile))(entry);
+
+// Extract one file for `field`. The size declared in the ZIP is checked
+// against the field's limit first; yauzl's validateEntrySizes (on by default)
+// aborts the stream if the entry turns out larger than declared.
+async function extractEntry(archive, name, field) {
+  const entry = archive.entries.get(name);
+  assertUploadSize(field, entry.uncompressedSize);
+  const localPath = path.join(incomingDir, buildUploadFilename(name));
+  await pipeline(await openEntryStream(archive.zipfile, entry), fs.createWriteStream(localPath));
+  return { path: localPath, filename: path.basename(localPath), originalname: name };
+}
+
+/**
+ * Parse a CSV or JSON manifest into rows keyed by the canonical column names.
+ */
+export function parseManifest(content, name = '') {
+  const text = content.toString('utf8').replace(/^\uFEFF/, '');
+  let records;
+  const isJson = path.extname(name).toLowerCase() === '.json' || /^\s*[[{]/.test(text);
+
+  try {
+    if (isJson) {
+      const parsed = JSON.parse(text);
+      records = Array.isArray(parsed) ? parsed : parsed.tracks;
+    } else {
+      records = parseCsv(text, { columns: true, skip_empty_lines: true, trim: true });
+    }
+  } catch (error) {
+    throw new UploadError(400, `manifest could not be parsed: ${error.message}`);
+  }
+
+  if (!Array.isArray(records) || !records.length) {
+    throw new UploadError(400, 'manifest must contain at least one track');
+  }
+  if (records.length > MAX_ROWS) {
+    throw new UploadError(400, `manifest may contain at most ${MAX_ROWS} tracks`);
+  }
+
+  return records.map((record) => {
+    const row = {};
+    for (const [key, value] of Object.entries(record || {})) {
+      const column = COLUMN_ALIASES[key.toLowerCase().replace(/[\s_-]/g, '')];
+      if (column) {
+        row[column] = typeof value === 'string' ? value.trim() : value == null ? '' : String(value);
+      }
+    }
+    // Archive files are matched by name, whatever folder the manifest mentions
+    for (const column of ['file', 'thumbnail']) {
+      if (row[column]) row[column] = path.posix.basename(row[column].replace(/\\/g, '/'));
+    }
+    return row;
+  });
+}
+
+/**
+ * Read the manifest from the separate upload, or from manifest.csv /
+ * manifest.json inside the archive.
+ */
+export async function readManifest(archive, manifestFile) {
+  if (manifestFile) {
+    return parseManifest(await fs.promises.readFile(manifestFile.path), manifestFile.originalname);
+  }
+
+  const name = MANIFEST_NAMES.find((candidate) => archive.entries.has(candidate));
+  if (!name) {
+    throw new UploadError(400, 'Provide a manifest file or include manifest.csv or manifest.json in the archive');
+  }
+  const chunks = [];
+  for await (const chunk of await openEntryStream(archive.zipfile, archive.entries.get(name))) {
+    chunks.push(chunk);
+  }
+  return parseManifest(Buffer.concat(chunks), name);
+}
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Validate every manifest row against the archive contents and the
+ * Category table. Returns the per-row report; nothing is written.
+ */
+export async function validateImportRows(rows, archive) {
+  const categories = await Category.findAll({ attributes: ['id', 'name', 'types'] });
+  const categoriesByName = new Map(categories.map((category) => [category.name.toLowerCase(), category]));
+  const audioRows = new Map();
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const requireFile = (name, field, extensions) => {
+      if (!extensions.includes(path.extname(name).toLowerCase())) {
+        errors.push(`${field} must be one of: ${extensions.join(', ')}`);
+      } else if (!archive.entries.has(name)) {
+        errors.push(`${field} "${name}" is not in the archive`);
+      } else if (archive.duplicates.has(name)) {
+        errors.push(`${field} "${name}" appears more than once in the archive`);
+      }
+    };
+
+    for (const field of ['title', 'artist', 'category', 'categoryType', 'file']) {
+      if (!row[field]) errors.push(`${field} is required`);
+    }
+
+    const category = row.category ? categoriesByName.get(row.category.toLowerCase()) : null;
+    let categoryType = null;
+    if (row.category && !category) {
+      errors.push(`category "${row.category}" does not exist`);
+    } else if (category && row.categoryType) {
+      const wanted = row.categoryType.toLowerCase();
+      categoryType = category.types.find(
+        (type) => String(type.id) === row.categoryType || type.name?.toLowerCase() === wanted,
+      );
+      if (!categoryType) {
+        errors.push(`categoryType "${row.categoryType}" is not a type of category "${category.name}"`);
+      }
+    }
+
+    if (row.file) {
+      requireFile(row.file, 'file', AUDIO_EXTENSIONS);
+      if (audioRows.has(row.file)) {
+        errors.push(`file "${row.file}" is already used by row ${audioRows.get(row.file)}`);
+      } else {
+        audioRows.set(row.file, index + 1);
+      }
+    }
+    if (row.thumbnail) {
+      requireFile(row.thumbnail, 'thumbnail', IMAGE_EXTENSIONS);
+    }
+
+    const publishDate = parseDate(row.publishDate);
+    if (publishDate === undefined) errors.push('publishDate is not a valid date');
+    const releaseDate = parseDate(row.releaseDate);
+    if (releaseDate === undefined) errors.push('releaseDate is not a valid date');
+
+    const duration = row.duration ? Number(row.duration) : null;
+    if (duration !== null && (!Number.isInteger(duration) || duration < 1)) {
+      errors.push('duration must be a positive number of seconds');
+    }
+
+    const description = sanitizeText(row.description);
+    if (description.length > 1000) errors.push('description must be 1000 characters or fewer');
+
+    return {
+      row: index + 1,
+      status: errors.length ? 'invalid' : 'valid',
+      errors,
+      title: row.title || null,
+      artist: row.artist || null,
+      file: row.file || null,
+      thumbnail: row.thumbnail || null,
+      category: category ? { id: category.id, name: category.name } : null,
+      categoryType: categoryType ? { id: categoryType.id, name: categoryType.name } : null,
+      description,
+      publishDate: publishDate || null,
+      releaseDate: releaseDate || publishDate || null,
+      duration,
+    };
+  });
+}
+
+/**
+ * Extract and store the media for every row, then create all Music rows in
+ * one transaction. Any failure up to the commit stores nothing: files already
+ * moved into storage are deleted again. Returns `{ report, error }`, where `error` is
+ * set when the import was rolled back; the failing row (if any) is marked.
+ */
+export async function commitImport(report, archive, userId) {
+  const stored = [];
+  const records = [];
+  const versions = [];
+  let created;
+
+  try {
+    for (const item of report) {
+      const extracted = [];
+      try {
+        const audioFile = await extractEntry(archive, item.file, 'file');
+        extracted.push(audioFile.path);
+        // Same format and size rules as a direct upload
+        await validateUploadedFile(audioFile, 'file');
+        const metadata = await probeAudioFile(audioFile.path);
+        const duration = metadata?.duration || item.duration;
+        if (!duration) {
+          throw new Error('duration could not be read from the audio file; add it to the manifest');
+        }
+
+        let thumbnailData = {};
+        let thumbnailVersion = null;
+        if (item.thumbnail) {
+          const thumbnailFile = await extractEntry(archive, item.thumbnail, 'thumbnail');
+          extracted.push(thumbnailFile.path);
+          await validateUploadedFile(thumbnailFile, 'thumbnail');
+          const thumbnails = await processUploadedThumbnail(thumbnailFile);
+          stored.push({ thumbnails });
+          thumbnailVersion = await describeUploadedFile(thumbnailFile);
+          thumbnailData = {
+            thumbnailUrl: await persistUpload(thumbnailFile),
+            thumbnails,
+            thumbnailChecksum: thumbnailVersion.checksum,
+          };
+          stored.push({ fileUrl: thumbnailData.thumbnailUrl });
+        }
+
+        const audioVersion = await describeUploadedFile(audioFile);
+        const fileUrl = await persistUpload(audioFile);
+        stored.push({ fileUrl });
+        versions.push({ audio: audioVersion, thumbnail: thumbnailVersion });
+        records.push({
+          title: item.title,
+          artist: item.artist,
+          categoryId: item.category.id,
+          categoryType: item.categoryType.id,
+          fileUrl,
+          audioChecksum: audioVersion.checksum,
+          duration,
+          releaseDate: item.releaseDate || new Date(),
+          publishDate: item.publishDate,
+          description: item.description,
+          userId,
+          ...getAudioMetadataFields(metadata),
+          ...thumbnailData,
+        });
+      } catch (error) {
+        item.status = 'failed';
+        item.errors.push(error.message);
+        throw error;
+      } finally {
+        await Promise.all(extracted.map((filePath) => fs.promises.rm(filePath, { force: true })));
+      }
+    }
+
+    created = await sequelize.transaction(async (transaction) => {
+      const rows = [];
+      for (const [index, record] of records.entries()) {
+        const music = await Music.create(record, { transaction });
+        await recordFileVersion(music, 'audio', { ...versions[index].audio, userId, transaction });
+        if (versions[index].thumbnail) {
+          await recordFileVersion(music, 'thumbnail', { ...versions[index].thumbnail, userId, transaction });
+        }
+        rows.push(music);
+      }
+      return rows;
+    });
+  } catch (error) {
+    for (const { fileUrl, thumbnails } of stored) {
+      await (fileUrl ? deleteStoredFile(fileUrl) : deleteThumbnailRenditions(thumbnails)).catch(() => {});
+    }
+    return { report, error: `Import rolled back: ${error.message}` };
+  }
+
+  // The tracks are committed from here on, so their files must stay; a track
+  // whose transcodes could not be queued still plays its original file
+  for (const [index, music] of created.entries()) {
+    report[index].status = 'created';
+    report[index].musicId = music.id;
+    await queueTranscodes(music.id).catch((error) => {
+      console.error(`Failed to queue transcodes for imported track ${music.id}:`, error);
+    });
+  }
+  return { report, error: null };
+}
+
+/**
+ * Summary counts for an import report.
+ */
+export const summarizeImport = (report) =>
+  report.reduce(
+    (summary, item) => ({ ...summary, [item.status]: (summary[item.status] || 0) + 1 }),
+    { total: report.length },
+  );
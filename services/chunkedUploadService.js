@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Op } from 'sequelize';
+import UploadSession from '../models/UploadSession.js';
+import { incomingDir } from '../config/storage.js';
+import { buildUploadFilename } from '../middleware/uploadMiddleware.js';
+import UploadError from '../utils/uploadError.js';
+import { FILE_FORMATS } from '../utils/fileSignature.js';
+import { assertUploadSize, assertUploadFormat } from './uploadValidationService.js';
+
+const MB = 1024 * 1024;
+export const DEFAULT_CHUNK_SIZE = 8 * MB;
+export const MIN_CHUNK_SIZE = 256 * 1024;
+export const MAX_CHUNK_SIZE = 64 * MB;
+
+// Sessions expire this long after their last activity
+const getSessionTtlMs = () => (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const chunksRoot = path.join(incomingDir, 'chunks');
+
+const getChunkDir = (session) => path.join(chunksRoot, session.id);
+
+export const getAssembledPath = (session) => path.join(incomingDir, session.filename);
+
+// Expected byte length of a chunk; only the last one may be shorter
+export const getChunkLength = (session, index) =>
+  index === session.totalChunks - 1
+    ? Number(session.totalSize) - index * session.chunkSize
+    : session.chunkSize;
+
+export const nextExpiry = () => new Date(Date.now() + getSessionTtlMs());
+
+/**
+ * Create a new upload session after validating the declared file.
+ */
+export async function createUploadSession(userId, { fileName, fileSize, mimeType, field, chunkSize, sha256 }) {
+  const totalSize = Number(fileSize);
+  if (!fileName || typeof fileName !== 'string') {
+    throw new UploadError(400, 'fileName is required');
+  }
+  if (!Number.isInteger(totalSize) || totalSize < 1) {
+    throw new UploadError(400, 'fileSize must be a positive integer');
+  }
+
+  const size = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+  if (!Number.isInteger(size) || size < MIN_CHUNK_SIZE || size > MAX_CHUNK_SIZE) {
+    throw new UploadError(400, `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+  }
+
+  const fieldName = field || 'file';
+  if (!['file', 'thumbnail'].includes(fieldName)) {
+    throw new UploadError(400, 'field must be file or thumbnail');
+  }
+  // Same per-field limits as multipart uploads (config/upload.js)
+  assertUploadSize(fieldName, totalSize);
+
+  if (sha256 !== undefined && !/^[a-f0-9]{64}$/i.test(sha256)) {
+    throw new UploadError(400, 'sha256 must be a hex-encoded SHA-256 digest');
+  }
+
+  const session = await UploadSession.create({
+    userId,
+    fieldName,
+    originalName: path.basename(fileName),
+    mimeType: mimeType || null,
+    totalSize,
+    chunkSize: size,
+    totalChunks: Math.ceil(totalSize / size),
+    sha256: sha256 ? sha256.toLowerCase() : null,
+    filename: buildUploadFilename(fileName),
+    expiresAt: nextExpiry(),
+  });
+  await fs.promises.mkdir(getChunkDir(session), { recursive: true });
+  return session;
+}
+
+/**
+ * Load a live session owned by the user, or throw a 404/410 UploadError.
+ */
+export async function findUploadSession(uploadId, userId) {
+  const session = await UploadSession.findOne({ where: { id: uploadId, userId } });
+  if (!session) {
+    throw new UploadError(404, 'Upload not found');
+  }
+  if (session.expiresAt < new Date()) {
+    throw new UploadError(410, 'Upload has expired');
+  }
+  return session;
+}
+
+/**
+ * Indexes of the chunks already stored on disk, ascending. Chunk state is
+ * read from the filesystem so parallel chunk requests never race on the row.
+ */
+export async function listReceivedChunks(session) {
+  try {
+    const entries = await fs.promises.readdir(getChunkDir(session));
+    return entries
+      .filter((name) => /^\d+$/.test(name))
+      .map(Number)
+      .sort((a, b) => a - b);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Stream one chunk from the request to disk, verifying its length and
+ * SHA-256. Re-sending a chunk replaces it, which makes retries safe.
+ */
+export async function writeChunk(session, index, source, expectedSha256) {
+  if (session.status !== 'pending') {
+    throw new UploadError(409, 'Upload is already complete');
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw new UploadError(400, `Chunk index must be between 0 and ${session.totalChunks - 1}`);
+  }
+  if (!expectedSha256 || !/^[a-f0-9]{64}$/i.test(expectedSha256)) {
+    throw new UploadError(400, 'X-Chunk-Checksum header must be the hex SHA-256 of the chunk');
+  }
+
+  const expectedLength = getChunkLength(session, index);
+  const chunkDir = getChunkDir(session);
+  const partPath = path.join(chunkDir, `${index}.${crypto.randomBytes(4).toString('hex')}.part`);
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > expectedLength) {
+        return callback(new UploadError(413, `Chunk ${index} must be ${expectedLength} bytes`));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  await fs.promises.mkdir(chunkDir, { recursive: true });
+  try {
+    await pipeline(source, meter, fs.createWriteStream(partPath));
+    if (received !== expectedLength) {
+      throw new UploadError(400, `Chunk ${index} must be ${expectedLength} bytes, received ${received}`);
+    }
+    if (hash.digest('hex') !== expectedSha256.toLowerCase()) {
+      throw new UploadError(422, `Checksum mismatch for chunk ${index}`);
+    }
+    await fs.promises.rename(partPath, path.join(chunkDir, String(index)));
+  } catch (error) {
+    await fs.promises.rm(partPath, { force: true });
+    throw error;
+  }
+
+  session.expiresAt = nextExpiry();
+  await session.save();
+}
+
+/**
+ * Concatenate all chunks into the assembled file and verify the whole-file
+ * checksum when one was declared. Returns the list of missing chunks instead
+ * when the upload is not finished yet.
+ */
+export async function assembleUpload(session) {
+  if (session.status === 'complete') {
+    return { missing: [] };
+  }
+
+  const received = new Set(await listReceivedChunks(session));
+  const missing = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  if (missing.length) {
+    return { missing };
+  }
+
+  const chunkDir = getChunkDir(session);
+  const assembledPath = getAssembledPath(session);
+  const output = fs.createWriteStream(assembledPath);
+  const hash = crypto.createHash('sha256');
+
+  try {
+    for (let index = 0; index < session.totalChunks; index++) {
+      for await (const data of fs.createReadStream(path.join(chunkDir, String(index)))) {
+        hash.update(data);
+        if (!output.write(data)) {
+          await new Promise((resolve) => output.once('drain', resolve));
+        }
+      }
+    }
+    await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())));
+  } catch (error) {
+    output.destroy();
+    await fs.promises.rm(assembledPath, { force: true });
+    throw error;
+  }
+
+  const digest = hash.digest('hex');
+  if (session.sha256 && digest !== session.sha256) {
+    await fs.promises.rm(assembledPath, { force: true });
+    throw new UploadError(422, 'Checksum mismatch for the assembled file');
+  }
+
+  // The content can only be checked once it is complete; a rejected file
+  // takes its whole session with it
+  let format;
+  try {
+    format = await assertUploadFormat(session.fieldName, assembledPath);
+  } catch (error) {
+    await discardUploadSession(session);
+    throw error;
+  }
+
+  await fs.promises.rm(chunkDir, { recursive: true, force: true });
+  session.status = 'complete';
+  session.mimeType = FILE_FORMATS[format].mimeType;
+  session.sha256 = digest;
+  session.expiresAt = nextExpiry();
+  await session.save();
+  return { missing: [] };
+}
+
+/**
+ * Remove a session together with its chunks and assembled file.
+ */
+export async function discardUploadSession(session) {
+  await fs.promises.rm(getChunkDir(session), { recursive: true, force: true });
+  await fs.promises.rm(getAssembledPath(session), { force: true });
+  await session.destroy();
+}
+
+/**
+ * Delete expired sessions and their data. Returns the number removed.
+ */
+export async function cleanupExpiredUploads() {
+  const expired = await UploadSession.findAll({ where: { expiresAt: { [Op.lt]: new Date() } } });
+  for (const session of expired) {
+    await discardUploadSession(session);
+  }
+  return expired.length;
+}
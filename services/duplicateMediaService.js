@@ -0,0 +1,107 @@
+import { Op, QueryTypes, fn, col, literal } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from '../models/Music.js';
+import { categoryInclude } from '../helpers/musicQueryHelper.js';
+
+// Music column holding the content hash of each kind of file
+export const CHECKSUM_FIELDS = {
+  audio: 'audioChecksum',
+  thumbnail: 'thumbnailChecksum',
+};
+
+// What createMusic does when the uploaded audio already exists: warn (default) or reject
+export const getDuplicatePolicy = () => (process.env.DUPLICATE_UPLOAD_POLICY === 'reject' ? 'reject' : 'warn');
+
+// Short description of a duplicate for warnings and 409 responses
+export const summarizeDuplicate = (music) => ({
+  id: music.id,
+  title: music.title,
+  artist: music.artist,
+  createdAt: music.createdAt,
+});
+
+/**
+ * Tracks (not in the trash) whose file of `kind` has this checksum.
+ */
+export function findTracksByChecksum(kind, checksum, { excludeId } = {}) {
+  if (!checksum) return Promise.resolve([]);
+  return Music.findAll({
+    where: {
+      [CHECKSUM_FIELDS[kind]]: checksum,
+      ...(excludeId !== undefined && { id: { [Op.ne]: excludeId } }),
+    },
+    attributes: ['id', 'title', 'artist', 'createdAt'],
+    order: [['createdAt', 'ASC']],
+  });
+}
+
+/**
+ * Groups of tracks sharing the same content, largest groups first. Tracks
+ * inside a group are ordered oldest first, so the first is usually the one
+ * to keep.
+ */
+export async function listDuplicateGroups(kind, { page = 1, limit = 20 } = {}) {
+  const field = CHECKSUM_FIELDS[kind];
+  const [pageGroups, [{ total }]] = await Promise.all([
+    Music.findAll({
+      attributes: [
+        [col(field), 'checksum'],
+        [fn('COUNT', col('id')), 'count'],
+      ],
+      where: { [field]: { [Op.ne]: null } },
+      group: [field],
+      having: literal('COUNT(`id`) > 1'),
+      order: [
+        [fn('COUNT', col('id')), 'DESC'],
+        [col(field), 'ASC'],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      raw: true,
+    }),
+    // Trashed tracks are left out, as in the paranoid query above
+    sequelize.query(
+      `SELECT COUNT(*) AS total FROM (
+         SELECT 1 FROM \`${Music.getTableName()}\`
+         WHERE \`${field}\` IS NOT NULL AND \`deletedAt\` IS NULL
+         GROUP BY \`${field}\`
+         HAVING COUNT(*) > 1
+       ) duplicate_groups`,
+      { type: QueryTypes.SELECT },
+    ),
+  ]);
+
+  const tracks = pageGroups.length
+    ? await Music.findAll({
+        where: { [field]: pageGroups.map((group) => group.checksum) },
+        attributes: ['id', 'title', 'artist', 'categoryId', 'categoryType', 'duration', 'fileSize', 'userId', 'createdAt', field],
+        include: [categoryInclude],
+        order: [
+          ['createdAt', 'ASC'],
+          ['id', 'ASC'],
+        ],
+      })
+    : [];
+
+  return {
+    groups: pageGroups.map((group) => ({
+      checksum: group.checksum,
+      count: Number(group.count),
+      tracks: tracks
+        .filter((music) => music[field] === group.checksum)
+        .map((music) => ({
+          ...summarizeDuplicate(music),
+          category: music.category ? { id: music.category.id, name: music.category.name } : null,
+          duration: music.duration,
+          fileSize: music.fileSize == null ? null : Number(music.fileSize),
+          userId: music.userId,
+        })),
+    })),
+    pagination: {
+      total: Number(total),
+      limit,
+      page,
+      totalPages: Math.ceil(Number(total) / limit),
+    },
+  };
+}
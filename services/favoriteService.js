@@ -0,0 +1,52 @@
+import { fn, col } from 'sequelize';
+import Favorite from '../models/Favorite.js';
+
+/**
+ * Flag the tracks `userId` has liked (`music.isFavorite`) with one query for
+ * the whole page, so formatMusic can report it.
+ */
+export async function attachFavoriteFlags(items, userId) {
+  if (!items.length || !userId) return items;
+  const favorites = await Favorite.findAll({
+    where: { userId, musicId: items.map((music) => music.id) },
+    attributes: ['musicId'],
+  });
+  const liked = new Set(favorites.map((favorite) => favorite.musicId));
+  for (const music of items) {
+    music.isFavorite = liked.has(music.id);
+  }
+  return items;
+}
+
+/**
+ * Set `music.favoriteCount` on each track of a page (admin listings).
+ */
+export async function attachFavoriteCounts(items) {
+  if (!items.length) return items;
+  const rows = await Favorite.findAll({
+    where: { musicId: items.map((music) => music.id) },
+    attributes: ['musicId', [fn('COUNT', col('id')), 'count']],
+    group: ['musicId'],
+    raw: true,
+  });
+  const counts = new Map(rows.map((row) => [row.musicId, Number(row.count)]));
+  for (const music of items) {
+    music.favoriteCount = counts.get(music.id) || 0;
+  }
+  return items;
+}
+
+/**
+ * Like a track. Liking it again is a no-op; `created` tells the two apart.
+ */
+export async function addFavorite(userId, musicId) {
+  const [favorite, created] = await Favorite.findOrCreate({ where: { userId, musicId } });
+  return { favorite, created };
+}
+
+/**
+ * Unlike a track. Returns whether a favorite was removed.
+ */
+export async function removeFavorite(userId, musicId) {
+  return (await Favorite.destroy({ where: { userId, musicId } })) > 0;
+}
@@ -0,0 +1,96 @@
+import cron from 'node-cron';
+import { cleanupExpiredUploads } from './chunkedUploadService.js';
+import { collectOrphanedMedia } from './mediaIntegrityService.js';
+import { transcodeWorker } from './transcodeService.js';
+import { purgeExpiredTrash, getTrashRetentionDays } from './musicTrashService.js';
+import { rollupPlayCounts } from './playStatsService.js';
+import { rebuildCoListening } from './similarMusicService.js';
+
+class MaintenanceScheduler {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Maintenance scheduler is already running');
+      return;
+    }
+
+    // Remove abandoned resumable uploads every hour
+    cron.schedule('15 * * * *', async () => {
+      await this.runJob('Expired upload cleanup', async () => {
+        const removed = await cleanupExpiredUploads();
+        console.log(`Removed ${removed} expired upload session(s)`);
+      });
+    });
+
+    // Pick up transcodes queued by other instances or stalled by a restart
+    cron.schedule('*/5 * * * *', async () => {
+      await this.runJob('Transcode queue', async () => {
+        const requeued = await transcodeWorker.resumeStalled();
+        if (requeued) console.log(`Requeued ${requeued} stalled transcode(s)`);
+      });
+    });
+
+    // Aggregate yesterday's play events (and late arrivals) into daily play counts
+    cron.schedule('30 0 * * *', async () => {
+      await this.runJob('Play count rollup', async () => {
+        const { from, through, days, tracks } = await rollupPlayCounts();
+        console.log(
+          days
+            ? `Rolled up ${days} day(s) of plays (${from} to ${through}), ${tracks} track-day(s)`
+            : 'No play events to roll up',
+        );
+      });
+    });
+
+    // Recompute which tracks are played by the same listeners, for similar tracks
+    cron.schedule('0 1 * * *', async () => {
+      await this.runJob('Co-listening rebuild', async () => {
+        const { tracks, pairs } = await rebuildCoListening();
+        console.log(`Co-listening rebuilt: ${pairs} pair(s) over ${tracks} played track(s)`);
+      });
+    });
+
+    // Permanently delete tracks that have been in the trash past the retention period
+    cron.schedule('0 3 * * *', async () => {
+      await this.runJob('Trash purge', async () => {
+        const { purged, failed } = await purgeExpiredTrash();
+        console.log(
+          `Purged ${purged.length} track(s) deleted over ${getTrashRetentionDays()} day(s) ago` +
+            (failed.length ? `, ${failed.length} failed` : ''),
+        );
+      });
+    });
+
+    // Reconcile media storage nightly; deletes only when MEDIA_GC_DRY_RUN=false
+    cron.schedule('30 3 * * *', async () => {
+      await this.runJob('Orphaned media cleanup', async () => {
+        const dryRun = process.env.MEDIA_GC_DRY_RUN !== 'false';
+        const { candidates, deleted, failed, report } = await collectOrphanedMedia({ dryRun });
+        console.log(
+          `Media integrity: ${report.summary.orphans} orphan(s), ` +
+            `${report.summary.brokenReferences} broken reference(s); ` +
+            (dryRun
+              ? `${candidates.length} would be deleted (dry run)`
+              : `${deleted.length} deleted, ${failed.length} failed`),
+        );
+      });
+    });
+
+    this.isRunning = true;
+    console.log('Maintenance scheduler started');
+  }
+
+  async runJob(name, job) {
+    try {
+      console.log(`Running ${name}...`);
+      await job();
+    } catch (error) {
+      console.error(`Error in ${name}:`, error);
+    }
+  }
+}
+
+export default new MaintenanceScheduler();
@@ -0,0 +1,185 @@
+import path from 'path';
+import { Op, fn, col, where } from 'sequelize';
+import Music from '../models/Music.js';
+import File from '../models/File.js';
+import MusicRendition from '../models/MusicRendition.js';
+import MusicFileVersion from '../models/MusicFileVersion.js';
+import { escapeLike } from '../helpers/musicQueryHelper.js';
+import storage, { getStorageKey } from './storageService.js';
+import { getRenditionStorageKeys } from './transcodeService.js';
+import { getVersionStorageKeys } from './mediaVersionService.js';
+
+const getGracePeriodHours = () => Number(process.env.MEDIA_GC_GRACE_HOURS) || 24;
+
+/**
+ * Every storage key referenced by the database, mapped to the rows that
+ * reference it.
+ */
+async function collectReferences() {
+  const references = new Map();
+  const addReference = (fileUrl, reference) => {
+    const key = getStorageKey(fileUrl);
+    if (!key) return;
+    if (!references.has(key)) references.set(key, []);
+    references.get(key).push(reference);
+  };
+
+  const musicRows = await Music.findAll({
+    attributes: ['id', 'title', 'fileUrl', 'thumbnailUrl', 'thumbnails'],
+    // Trashed tracks keep their files until they are purged
+    paranoid: false,
+  });
+  for (const music of musicRows) {
+    addReference(music.fileUrl, { model: 'Music', id: music.id, field: 'fileUrl', value: music.fileUrl });
+    addReference(music.thumbnailUrl, {
+      model: 'Music',
+      id: music.id,
+      field: 'thumbnailUrl',
+      value: music.thumbnailUrl,
+    });
+    for (const [size, formats] of Object.entries(music.thumbnails || {})) {
+      for (const [format, url] of Object.entries(formats || {})) {
+        addReference(url, { model: 'Music', id: music.id, field: `thumbnails.${size}.${format}`, value: url });
+      }
+    }
+  }
+
+  const renditionRows = await MusicRendition.findAll({
+    where: { status: 'ready' },
+    attributes: ['id', 'musicId', 'profile', 'fileUrl', 'variants'],
+  });
+  for (const rendition of renditionRows) {
+    for (const key of getRenditionStorageKeys(rendition)) {
+      addReference(key, { model: 'MusicRendition', id: rendition.id, field: rendition.profile, value: key });
+    }
+  }
+
+  // Old versions keep their files until retention purges them
+  const versionRows = await MusicFileVersion.findAll({
+    where: { purgedAt: null },
+    attributes: ['id', 'musicId', 'kind', 'version', 'fileUrl', 'metadata'],
+  });
+  for (const version of versionRows) {
+    for (const key of getVersionStorageKeys(version)) {
+      addReference(key, {
+        model: 'MusicFileVersion',
+        id: version.id,
+        field: `${version.kind}.v${version.version}`,
+        value: key,
+      });
+    }
+  }
+
+  const fileRows = await File.findAll({ attributes: ['id', 'path'] });
+  for (const file of fileRows) {
+    addReference(path.basename(file.path || ''), { model: 'File', id: file.id, field: 'path', value: file.path });
+  }
+
+  return references;
+}
+
+/**
+ * Whether a stored file belongs to a track that is not in the trash: its
+ * audio, artwork or artwork renditions, a ready transcode, or a version file
+ * that has not been purged.
+ */
+export async function isLiveTrackMedia(key) {
+  // References are "/uploads/<key>", or absolute URLs on older rows
+  const pattern = `%/${escapeLike(key)}`;
+  const inJson = (column) => where(fn('JSON_SEARCH', col(column), 'one', pattern), Op.ne, null);
+  const liveTrack = { model: Music, as: 'music', attributes: [], required: true };
+
+  const counts = await Promise.all([
+    Music.count({
+      where: {
+        [Op.or]: [{ fileUrl: { [Op.like]: pattern } }, { thumbnailUrl: { [Op.like]: pattern } }, inJson('thumbnails')],
+      },
+    }),
+    MusicRendition.count({
+      where: { status: 'ready', fileUrl: { [Op.like]: pattern } },
+      include: [liveTrack],
+    }),
+    MusicFileVersion.count({
+      where: {
+        purgedAt: null,
+        [Op.or]: [{ fileUrl: { [Op.like]: pattern } }, inJson('MusicFileVersion.metadata')],
+      },
+      include: [liveTrack],
+    }),
+  ]);
+  return counts.some((count) => count > 0);
+}
+
+/**
+ * Reconcile stored files against database references. Orphans are files no
+ * row points at; broken references are rows pointing at missing files.
+ * Orphans older than the grace period are flagged as deletable so uploads
+ * still waiting for their row to be written are never touched.
+ */
+export async function buildIntegrityReport({ gracePeriodHours = getGracePeriodHours() } = {}) {
+  const references = await collectReferences();
+  const cutoff = new Date(Date.now() - gracePeriodHours * 60 * 60 * 1000);
+  const storedKeys = new Set();
+  const orphans = [];
+
+  for await (const file of storage.list()) {
+    storedKeys.add(file.key);
+    if (!references.has(file.key)) {
+      orphans.push({
+        key: file.key,
+        size: file.size,
+        lastModified: file.lastModified,
+        deletable: file.lastModified < cutoff,
+      });
+    }
+  }
+
+  const brokenReferences = [];
+  for (const [key, rows] of references) {
+    if (!storedKeys.has(key)) {
+      for (const row of rows) {
+        brokenReferences.push({ ...row, key });
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date(),
+    storageDriver: storage.name,
+    gracePeriodHours,
+    summary: {
+      storedFiles: storedKeys.size,
+      referencedFiles: references.size,
+      orphans: orphans.length,
+      orphanBytes: orphans.reduce((total, file) => total + Number(file.size || 0), 0),
+      deletableOrphans: orphans.filter((file) => file.deletable).length,
+      brokenReferences: brokenReferences.length,
+    },
+    orphans,
+    brokenReferences,
+  };
+}
+
+/**
+ * Delete orphans older than the grace period. In dry-run mode nothing is
+ * deleted; `candidates` always lists the orphans eligible for deletion.
+ */
+export async function collectOrphanedMedia({ dryRun = true, gracePeriodHours } = {}) {
+  const report = await buildIntegrityReport({ gracePeriodHours });
+  const candidates = report.orphans.filter((file) => file.deletable).map((file) => file.key);
+  const deleted = [];
+  const failed = [];
+
+  if (!dryRun) {
+    for (const key of candidates) {
+      try {
+        await storage.delete(key);
+        deleted.push(key);
+      } catch (error) {
+        failed.push({ key, error: error.message });
+      }
+    }
+  }
+
+  return { dryRun, candidates, deleted, failed, report };
+}
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { UniqueConstraintError } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from '../models/Music.js';
+import MusicFileVersion from '../models/MusicFileVersion.js';
+import storage, { getStorageKey } from './storageService.js';
+import { getRenditionKeys } from './thumbnailService.js';
+import { deleteRenditions, queueTranscodes } from './transcodeService.js';
+
+export const VERSION_KINDS = ['audio', 'thumbnail'];
+
+// Track columns that describe the audio file and are restored with it
+const AUDIO_FIELDS = ['duration', 'codec', 'bitrate', 'sampleRate', 'channels', 'bitsPerSample', 'fileSize'];
+
+// Old versions per kind whose files are kept besides the current one
+export const getVersionRetention = () => {
+  const retention = Number(process.env.MEDIA_VERSION_RETENTION);
+  return process.env.MEDIA_VERSION_RETENTION && Number.isInteger(retention) && retention >= 0 ? retention : 5;
+};
+
+/**
+ * SHA-256 of a readable stream, hex encoded.
+ */
+export async function computeChecksum(stream) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+export const checksumFile = (filePath) => computeChecksum(fs.createReadStream(filePath));
+
+/**
+ * Checksum and size of an incoming upload, taken before it is persisted.
+ */
+export async function describeUploadedFile(file) {
+  const [checksum, stats] = await Promise.all([checksumFile(file.path), fs.promises.stat(file.path)]);
+  return { checksum, fileSize: stats.size };
+}
+
+// The track's current file of a kind and the fields that go with it
+const snapshotFile = (music, kind) =>
+  kind === 'audio'
+    ? {
+        fileUrl: music.fileUrl,
+        fileSize: music.fileSize ?? null,
+        metadata: Object.fromEntries(AUDIO_FIELDS.map((field) => [field, music[field] ?? null])),
+      }
+    : { fileUrl: music.thumbnailUrl, fileSize: null, metadata: { thumbnails: music.thumbnails || null } };
+
+/**
+ * Storage keys belonging to a version: the file plus, for artwork, its
+ * thumbnail renditions.
+ */
+export function getVersionStorageKeys(version) {
+  const keys = getRenditionKeys(version.metadata?.thumbnails);
+  const fileKey = getStorageKey(version.fileUrl);
+  return fileKey ? [fileKey, ...keys] : keys;
+}
+
+/**
+ * Record the track's current file of `kind` as its newest version. Call it
+ * after the new file has been saved on the track. The track row is locked
+ * while the next version number is taken, so concurrent replacements are
+ * numbered one after the other instead of colliding.
+ */
+export async function recordFileVersion(
+  music,
+  kind,
+  { checksum = null, fileSize, userId = null, notes = null, restoredFromVersion = null, transaction } = {},
+) {
+  const snapshot = snapshotFile(music, kind);
+  if (!snapshot.fileUrl) return null;
+
+  const record = async (t) => {
+    await Music.findByPk(music.id, { attributes: ['id'], paranoid: false, lock: true, transaction: t });
+    // A locking read sees versions committed after the transaction started
+    const latest = await MusicFileVersion.findOne({
+      where: { musicId: music.id, kind },
+      attributes: ['version'],
+      order: [['version', 'DESC']],
+      lock: true,
+      transaction: t,
+    });
+    return MusicFileVersion.create(
+      {
+        musicId: music.id,
+        kind,
+        version: (latest?.version || 0) + 1,
+        ...snapshot,
+        fileSize: fileSize ?? snapshot.fileSize,
+        checksum,
+        notes: notes || null,
+        uploadedById: userId,
+        restoredFromVersion,
+      },
+      { transaction: t },
+    );
+  };
+  return transaction ? record(transaction) : sequelize.transaction(record);
+}
+
+/**
+ * Tracks uploaded before version history have no versions yet: record their
+ * current file as version 1 so replacing it keeps it restorable.
+ */
+export async function ensureBaselineVersion(music, kind) {
+  const snapshot = snapshotFile(music, kind);
+  if (!snapshot.fileUrl || (await MusicFileVersion.count({ where: { musicId: music.id, kind } }))) {
+    return;
+  }
+
+  const key = getStorageKey(snapshot.fileUrl);
+  const stats = key ? await storage.stat(key) : null;
+  const checksum =
+    music[kind === 'audio' ? 'audioChecksum' : 'thumbnailChecksum'] ||
+    (stats ? await computeChecksum(await storage.getStream(key)).catch(() => null) : null);
+  await MusicFileVersion.create({
+    musicId: music.id,
+    kind,
+    version: 1,
+    ...snapshot,
+    fileSize: snapshot.fileSize ?? stats?.size ?? null,
+    checksum,
+    notes: 'Recorded when version history was enabled',
+    uploadedById: music.userId,
+    createdAt: music.createdAt,
+  }).catch((error) => {
+    // A concurrent replacement recorded the baseline first
+    if (!(error instanceof UniqueConstraintError)) throw error;
+  });
+}
+
+/**
+ * Apply the retention setting: beyond the current version and the newest
+ * `retention` old ones, stored files are deleted and the versions marked
+ * purged. Files still used by a kept version (after a rollback) stay.
+ */
+export async function pruneFileVersions(musicId, kind, retention = getVersionRetention()) {
+  const versions = await MusicFileVersion.findAll({
+    where: { musicId, kind, purgedAt: null },
+    order: [['version', 'DESC']],
+  });
+  const kept = versions.slice(0, retention + 1);
+  const keptKeys = new Set(kept.flatMap(getVersionStorageKeys));
+
+  for (const version of versions.slice(retention + 1)) {
+    for (const key of getVersionStorageKeys(version)) {
+      if (!keptKeys.has(key)) {
+        await storage.delete(key);
+      }
+    }
+    await version.update({ purgedAt: new Date() });
+  }
+}
+
+/**
+ * Make an old version current again. The track's fields are restored from
+ * the version and the rollback is recorded as a new version; audio
+ * renditions are regenerated from the restored master.
+ */
+export async function restoreFileVersion(music, version, { userId, notes } = {}) {
+  if (version.kind === 'audio') {
+    music.fileUrl = version.fileUrl;
+    music.audioChecksum = version.checksum;
+    Object.assign(music, version.metadata || {});
+  } else {
+    music.thumbnailUrl = version.fileUrl;
+    music.thumbnailChecksum = version.checksum;
+    music.thumbnails = version.metadata?.thumbnails || null;
+  }
+  const masterChanged = music.changed('fileUrl');
+  await music.save();
+
+  const restored = await recordFileVersion(music, version.kind, {
+    checksum: version.checksum,
+    fileSize: version.fileSize,
+    userId,
+    notes: notes || `Restored version ${version.version}`,
+    restoredFromVersion: version.version,
+  });
+  if (masterChanged) {
+    await deleteRenditions(music.id);
+    await queueTranscodes(music.id);
+  }
+  await pruneFileVersions(music.id, version.kind);
+  return restored;
+}
+
+/**
+ * Delete every stored file of a track's versions, plus the version rows.
+ */
+export async function deleteFileVersions(musicId) {
+  const versions = await MusicFileVersion.findAll({ where: { musicId } });
+  for (const version of versions) {
+    if (!version.purgedAt) {
+      for (const key of getVersionStorageKeys(version)) {
+        await storage.delete(key);
+      }
+    }
+  }
+  await MusicFileVersion.destroy({ where: { musicId } });
+}
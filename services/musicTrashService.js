@@ -0,0 +1,70 @@
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import Favorite from '../models/Favorite.js';
+import PlayEvent from '../models/PlayEvent.js';
+import PlaybackPosition from '../models/PlaybackPosition.js';
+import MusicPlayDaily from '../models/MusicPlayDaily.js';
+import MusicCoListen from '../models/MusicCoListen.js';
+import { deleteStoredFile } from './storageService.js';
+import { deleteThumbnailRenditions } from './thumbnailService.js';
+import { deleteRenditions } from './transcodeService.js';
+import { deleteFileVersions } from './mediaVersionService.js';
+
+// Days a deleted track stays restorable, configurable via MUSIC_TRASH_RETENTION_DAYS
+export const getTrashRetentionDays = () => {
+  const days = Number(process.env.MUSIC_TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : 30;
+};
+
+// When a trashed track will be purged
+export const getPurgeDate = (music, retentionDays = getTrashRetentionDays()) =>
+  music.deletedAt ? new Date(new Date(music.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000) : null;
+
+/**
+ * Permanently delete a track: stored files, renditions, file versions,
+ * favorites, play history and counts, co-listening scores and finally the
+ * row itself.
+ */
+export async function purgeMusic(music) {
+  if (music.fileUrl) {
+    await deleteStoredFile(music.fileUrl);
+  }
+  if (music.thumbnailUrl) {
+    await deleteStoredFile(music.thumbnailUrl);
+  }
+  await deleteThumbnailRenditions(music.thumbnails);
+  await deleteRenditions(music.id);
+  await deleteFileVersions(music.id);
+  await Favorite.destroy({ where: { musicId: music.id } });
+  await PlayEvent.destroy({ where: { musicId: music.id } });
+  await PlaybackPosition.destroy({ where: { musicId: music.id } });
+  await MusicPlayDaily.destroy({ where: { musicId: music.id } });
+  await MusicCoListen.destroy({ where: { [Op.or]: [{ musicId: music.id }, { similarMusicId: music.id }] } });
+  await music.destroy({ force: true });
+}
+
+/**
+ * Purge tracks that have been in the trash longer than the retention period.
+ * A track that fails is left in the trash and retried on the next run.
+ */
+export async function purgeExpiredTrash({ retentionDays = getTrashRetentionDays() } = {}) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Music.findAll({
+    where: { deletedAt: { [Op.lte]: cutoff } },
+    paranoid: false,
+    order: [['deletedAt', 'ASC']],
+  });
+
+  const purged = [];
+  const failed = [];
+  for (const music of expired) {
+    try {
+      await purgeMusic(music);
+      purged.push(music.id);
+    } catch (error) {
+      console.error(`Failed to purge music ${music.id}:`, error.message);
+      failed.push({ id: music.id, error: error.message });
+    }
+  }
+  return { purged, failed };
+}
@@ -0,0 +1,166 @@
+import { fn, col, literal } from 'sequelize';
+import Music from '../models/Music.js';
+import PlayEvent from '../models/PlayEvent.js';
+import { categoryInclude, publishedWhere } from '../helpers/musicQueryHelper.js';
+import { savePlaybackPosition } from './playbackPositionService.js';
+import { getRollupLookbackDays, getOldestOpenPlayDay } from './playStatsService.js';
+
+export const PLAY_EVENT_TYPES = ['start', 'progress', 'pause', 'complete', 'skip'];
+
+// Events accepted per request
+export const MAX_EVENT_BATCH = 100;
+
+// Clock skew tolerated for events stamped ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const isShortString = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+/**
+ * Check one event from a client batch. Returns { value } ready to store, or
+ * { error }. `clientTimestamp` may be an ISO string or epoch milliseconds; its
+ * UTC day must still be inside the play count rollup window (older events
+ * would never be counted) and it may be at most a few minutes ahead, in which
+ * case it is capped at the server time.
+ */
+export function parsePlayEvent(raw, now = new Date()) {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'Event must be an object' };
+  }
+  const { eventId, type, musicId, position = 0, clientTimestamp, deviceId } = raw;
+  if (!isShortString(eventId, 64)) {
+    return { error: 'eventId must be a string of at most 64 characters' };
+  }
+  if (!PLAY_EVENT_TYPES.includes(type)) {
+    return { error: `type must be one of: ${PLAY_EVENT_TYPES.join(', ')}` };
+  }
+  if (!Number.isInteger(musicId) || musicId < 1) {
+    return { error: 'musicId must be a track id' };
+  }
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    return { error: 'position must be a non-negative number of seconds' };
+  }
+  const timestamp = new Date(clientTimestamp);
+  if (clientTimestamp === undefined || clientTimestamp === null || Number.isNaN(timestamp.getTime())) {
+    return { error: 'clientTimestamp must be a date' };
+  }
+  if (timestamp.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    return { error: 'clientTimestamp is in the future' };
+  }
+  // Days before the rollup lookback window are never aggregated again
+  if (timestamp.toISOString().slice(0, 10) < getOldestOpenPlayDay(now)) {
+    return { error: `clientTimestamp must be within the last ${getRollupLookbackDays()} day(s) (UTC)` };
+  }
+  if (!isShortString(deviceId, 128)) {
+    return { error: 'deviceId must be a string of at most 128 characters' };
+  }
+  return {
+    value: {
+      eventId: eventId.trim(),
+      type,
+      musicId,
+      position,
+      clientTimestamp: timestamp > now ? now : timestamp,
+      deviceId: deviceId.trim(),
+    },
+  };
+}
+
+/**
+ * Store a batch of parsed events for `userId`. Events whose eventId was
+ * already received (a retried batch) are skipped; events for tracks that do
+ * not exist or are in the trash are rejected. A `complete` event resets the
+ * resume position of its track. Returns the counts plus the rejected events
+ * by index.
+ */
+export async function recordPlayEvents(userId, events) {
+  const musicIds = [...new Set(events.map(({ value }) => value?.musicId).filter(Boolean))];
+  const eventIds = [...new Set(events.map(({ value }) => value?.eventId).filter(Boolean))];
+  const [tracks, existing] = await Promise.all([
+    // Tracks in the trash are left out, so their events are rejected like unknown ones
+    musicIds.length ? Music.findAll({ where: { id: musicIds }, attributes: ['id'] }) : [],
+    eventIds.length
+      ? PlayEvent.findAll({ where: { userId, eventId: eventIds }, attributes: ['eventId'] })
+      : [],
+  ]);
+  const knownTracks = new Set(tracks.map((music) => music.id));
+  const seen = new Set(existing.map((event) => event.eventId));
+
+  const rows = [];
+  const rejected = [];
+  let duplicates = 0;
+  events.forEach(({ value, error }, index) => {
+    if (error) {
+      rejected.push({ index, error });
+    } else if (!knownTracks.has(value.musicId)) {
+      rejected.push({ index, eventId: value.eventId, error: 'Music not found' });
+    } else if (seen.has(value.eventId)) {
+      duplicates++;
+    } else {
+      seen.add(value.eventId);
+      rows.push({ ...value, userId });
+    }
+  });
+
+  // ignoreDuplicates covers the same batch arriving twice at once
+  if (rows.length) {
+    await PlayEvent.bulkCreate(rows, { ignoreDuplicates: true });
+  }
+  for (const event of rows.filter((row) => row.type === 'complete')) {
+    await savePlaybackPosition(userId, { id: event.musicId }, {
+      position: 0,
+      clientTimestamp: event.clientTimestamp,
+      deviceId: event.deviceId,
+      completed: true,
+    });
+  }
+  return { accepted: rows.length, duplicates, rejected };
+}
+
+/**
+ * A user's recently played tracks, one entry per track ordered by the last
+ * time it was played. `playCount` counts the `start` events.
+ */
+export async function getListeningHistory(userId, { limit, page, includeUnpublished = false }) {
+  const musicInclude = {
+    model: Music,
+    as: 'music',
+    attributes: [],
+    required: true,
+    ...(!includeUnpublished && { where: publishedWhere() }),
+  };
+  const lastPlayed = fn('MAX', col('PlayEvent.clientTimestamp'));
+
+  const [total, rows] = await Promise.all([
+    PlayEvent.count({ where: { userId }, include: [musicInclude], distinct: true, col: 'musicId' }),
+    PlayEvent.findAll({
+      where: { userId },
+      include: [musicInclude],
+      attributes: [
+        'musicId',
+        [lastPlayed, 'lastPlayedAt'],
+        [fn('SUM', literal("CASE WHEN `PlayEvent`.`type` = 'start' THEN 1 ELSE 0 END")), 'playCount'],
+      ],
+      group: ['PlayEvent.musicId'],
+      order: [[lastPlayed, 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      subQuery: false,
+      raw: true,
+    }),
+  ]);
+
+  const tracks = rows.length
+    ? await Music.findAll({ where: { id: rows.map((row) => row.musicId) }, include: [categoryInclude] })
+    : [];
+  const byId = new Map(tracks.map((music) => [music.id, music]));
+  return {
+    items: rows
+      .filter((row) => byId.has(row.musicId))
+      .map((row) => ({
+        music: byId.get(row.musicId),
+        lastPlayedAt: new Date(row.lastPlayedAt),
+        playCount: Number(row.playCount) || 0,
+      })),
+    total,
+  };
+}
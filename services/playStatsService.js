@@ -0,0 +1,181 @@
+import { Op, fn, col, literal } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from '../models/Music.js';
+import PlayEvent from '../models/PlayEvent.js';
+import MusicPlayDaily from '../models/MusicPlayDaily.js';
+import { publishedWhere } from '../helpers/musicQueryHelper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days are UTC calendar dates ('YYYY-MM-DD')
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+const addDays = (day, days) => toDay(Date.parse(`${day}T00:00:00.000Z`) + days * DAY_MS);
+
+// Days re-aggregated on every rollup so events sent late by offline clients
+// are still counted, configurable via PLAY_ROLLUP_LOOKBACK_DAYS
+export const getRollupLookbackDays = () => {
+  const days = Number(process.env.PLAY_ROLLUP_LOOKBACK_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : 3;
+};
+
+// Oldest day the next rollup still re-aggregates: the lookback window ending
+// today, so an event dated on or after it is always counted
+export const getOldestOpenPlayDay = (now = new Date()) => addDays(toDay(now), 1 - getRollupLookbackDays());
+
+/**
+ * Rebuild the aggregates of one day from play_events. Returns the number of
+ * tracks played that day.
+ */
+export async function rollupPlayDay(day) {
+  const start = new Date(`${day}T00:00:00.000Z`);
+  const rows = await PlayEvent.findAll({
+    where: {
+      type: ['start', 'complete'],
+      clientTimestamp: { [Op.gte]: start, [Op.lt]: new Date(start.getTime() + DAY_MS) },
+    },
+    attributes: [
+      'musicId',
+      [fn('SUM', literal("CASE WHEN `type` = 'start' THEN 1 ELSE 0 END")), 'plays'],
+      [fn('COUNT', literal("DISTINCT CASE WHEN `type` = 'start' THEN `userId` END")), 'listeners'],
+      [fn('SUM', literal("CASE WHEN `type` = 'complete' THEN 1 ELSE 0 END")), 'completions'],
+    ],
+    group: ['musicId'],
+    raw: true,
+  });
+
+  await sequelize.transaction(async (transaction) => {
+    await MusicPlayDaily.destroy({ where: { playDate: day }, transaction });
+    if (rows.length) {
+      await MusicPlayDaily.bulkCreate(
+        rows.map((row) => ({
+          musicId: row.musicId,
+          playDate: day,
+          plays: Number(row.plays) || 0,
+          listeners: Number(row.listeners) || 0,
+          completions: Number(row.completions) || 0,
+        })),
+        { transaction },
+      );
+    }
+  });
+  return rows.length;
+}
+
+/**
+ * Aggregate every day not rolled up yet, plus the lookback window, up to
+ * `through` (yesterday by default). Days are bucketed by `clientTimestamp`,
+ * so the first run starts on the day of the oldest event by that column;
+ * pass `from` to rebuild a longer range.
+ */
+export async function rollupPlayCounts({ from, through = addDays(toDay(new Date()), -1) } = {}) {
+  let start = from && toDay(from);
+  if (!start) {
+    const latest = await MusicPlayDaily.max('playDate');
+    if (latest) {
+      const next = addDays(toDay(latest), 1);
+      const lookback = addDays(through, 1 - getRollupLookbackDays());
+      start = next < lookback ? next : lookback;
+    } else {
+      const first = await PlayEvent.min('clientTimestamp');
+      if (!first) return { from: null, through, days: 0, tracks: 0 };
+      start = toDay(first);
+    }
+  }
+
+  let days = 0;
+  let tracks = 0;
+  for (let day = start; day <= through; day = addDays(day, 1)) {
+    tracks += await rollupPlayDay(day);
+    days++;
+  }
+  return { from: start, through, days, tracks };
+}
+
+/**
+ * Set `music.playCounts` ({ lifetime, last30Days }) on each track of a page
+ * (admin listings). Counts cover the days rolled up so far.
+ */
+export async function attachPlayCounts(items) {
+  if (!items.length) return items;
+  const since = addDays(toDay(new Date()), -30);
+  const rows = await MusicPlayDaily.findAll({
+    where: { musicId: items.map((music) => music.id) },
+    attributes: [
+      'musicId',
+      [fn('SUM', col('plays')), 'lifetime'],
+      [fn('SUM', literal(`CASE WHEN \`playDate\` >= ${sequelize.escape(since)} THEN \`plays\` ELSE 0 END`)), 'last30Days'],
+    ],
+    group: ['musicId'],
+    raw: true,
+  });
+  const counts = new Map(rows.map((row) => [row.musicId, row]));
+  for (const music of items) {
+    const row = counts.get(music.id);
+    music.playCounts = { lifetime: Number(row?.lifetime) || 0, last30Days: Number(row?.last30Days) || 0 };
+  }
+  return items;
+}
+
+/**
+ * Rank published tracks by plays over the last `windowDays` rolled-up days.
+ * Days are weighted by 0.5^(age / halfLife), with a half-life of a third of
+ * the window, so recent plays count more than older ones. Distinct listeners
+ * per day are summed alongside for display.
+ */
+export async function getTrendingTracks({ windowDays, categoryId, limit, page }) {
+  const through = addDays(toDay(new Date()), -1);
+  const from = addDays(through, 1 - windowDays);
+  const halfLife = windowDays / 3;
+
+  const where = { playDate: { [Op.between]: [from, through] } };
+  const include = [
+    {
+      model: Music,
+      as: 'music',
+      attributes: [],
+      required: true,
+      where: categoryId === undefined ? publishedWhere() : { [Op.and]: [publishedWhere(), { categoryId }] },
+    },
+  ];
+  const score = fn(
+    'SUM',
+    literal(
+      `\`MusicPlayDaily\`.\`plays\` * POW(0.5, DATEDIFF(${sequelize.escape(through)}, \`MusicPlayDaily\`.\`playDate\`) / ${halfLife})`,
+    ),
+  );
+
+  const [total, rows] = await Promise.all([
+    MusicPlayDaily.count({ where, include, distinct: true, col: 'musicId' }),
+    MusicPlayDaily.findAll({
+      where,
+      include,
+      attributes: [
+        'musicId',
+        [score, 'score'],
+        [fn('SUM', col('MusicPlayDaily.plays')), 'plays'],
+        [fn('SUM', col('MusicPlayDaily.listeners')), 'listeners'],
+      ],
+      group: ['MusicPlayDaily.musicId'],
+      order: [
+        [score, 'DESC'],
+        ['musicId', 'ASC'],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      subQuery: false,
+      raw: true,
+    }),
+  ]);
+
+  return {
+    from,
+    through,
+    total,
+    items: rows.map((row) => ({
+      musicId: row.musicId,
+      score: Math.round(Number(row.score) * 1000) / 1000,
+      plays: Number(row.plays) || 0,
+      listeners: Number(row.listeners) || 0,
+    })),
+  };
+}
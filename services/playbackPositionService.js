@@ -0,0 +1,85 @@
+import { Op, UniqueConstraintError } from 'sequelize';
+import Music from '../models/Music.js';
+import PlaybackPosition from '../models/PlaybackPosition.js';
+import { categoryInclude, publishedWhere } from '../helpers/musicQueryHelper.js';
+
+// Seconds before the end at which a track counts as finished (at most 5% of it)
+const COMPLETION_MARGIN_SECONDS = 15;
+
+export const isFinishedPosition = (position, duration) =>
+  duration > 0 && position >= duration - Math.min(COMPLETION_MARGIN_SECONDS, duration * 0.05);
+
+/**
+ * Position state for API responses; tracks never played report 0.
+ */
+export function formatPlaybackPosition(record, music) {
+  const position = record ? record.position : 0;
+  return {
+    musicId: music.id,
+    position,
+    duration: music.duration ?? null,
+    progress: music.duration ? Math.min(position / music.duration, 1) : 0,
+    completed: Boolean(record?.completedAt),
+    completedAt: record?.completedAt ?? null,
+    updatedAt: record?.clientTimestamp ?? null,
+    deviceId: record?.deviceId ?? null,
+  };
+}
+
+/**
+ * Store a position if it is newer (by client timestamp) than the stored one.
+ * Timestamps ahead of the server clock are capped, so a device with a fast
+ * clock cannot block the others. Reaching the end of the track, or
+ * `completed`, resets the position to 0. Returns whether the update was
+ * applied and the stored state.
+ */
+export async function savePlaybackPosition(userId, music, { position, clientTimestamp, deviceId = null, completed = false }) {
+  const now = new Date();
+  const timestamp = clientTimestamp > now ? now : clientTimestamp;
+  const finished = completed || isFinishedPosition(position, music.duration);
+  const values = {
+    position: finished ? 0 : position,
+    clientTimestamp: timestamp,
+    deviceId,
+    completedAt: finished ? now : null,
+  };
+  const where = { userId, musicId: music.id };
+  const update = async () =>
+    (await PlaybackPosition.update(values, { where: { ...where, clientTimestamp: { [Op.lt]: timestamp } } }))[0] > 0;
+
+  let applied = await update();
+  if (!applied) {
+    try {
+      await PlaybackPosition.create({ ...where, ...values });
+      applied = true;
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError)) throw error;
+      // Another device created the row first; ours may still be newer
+      applied = await update();
+    }
+  }
+  return { applied, record: await PlaybackPosition.findOne({ where }) };
+}
+
+/**
+ * Partly played tracks, most recently played first.
+ */
+export function findContinueListening(userId, { limit, includeUnpublished = false }) {
+  return PlaybackPosition.findAll({
+    where: { userId, position: { [Op.gt]: 0 } },
+    include: [
+      {
+        model: Music,
+        as: 'music',
+        required: true,
+        ...(!includeUnpublished && { where: publishedWhere() }),
+        include: [categoryInclude],
+      },
+    ],
+    order: [
+      ['clientTimestamp', 'DESC'],
+      ['id', 'DESC'],
+    ],
+    limit,
+  });
+}
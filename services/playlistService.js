@@ -0,0 +1,219 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from '../models/Music.js';
+import Playlist from '../models/Playlist.js';
+import PlaylistTrack from '../models/PlaylistTrack.js';
+import { categoryInclude, formatMusic, getPublishStatus } from '../helpers/musicQueryHelper.js';
+
+export const MAX_PLAYLIST_TRACKS = 500;
+
+/**
+ * Why a playlist entry cannot be played, or null when it can: `removed`
+ * (purged from the catalog), `deleted` (in the trash) or `unreleased`
+ * (scheduled or back in draft).
+ */
+export function getUnavailableReason(entry, now = new Date()) {
+  const { music } = entry;
+  if (!music) return 'removed';
+  if (music.deletedAt) return 'deleted';
+  if (getPublishStatus(music, now) !== 'published') return 'unreleased';
+  return null;
+}
+
+/**
+ * Entries of one or more playlists in order, with their tracks. Trashed
+ * tracks are loaded too so they can be flagged instead of disappearing.
+ */
+export function findPlaylistEntries(playlistIds, { withDetails = true } = {}) {
+  return PlaylistTrack.findAll({
+    where: { playlistId: playlistIds },
+    include: [
+      {
+        model: Music,
+        as: 'music',
+        paranoid: false,
+        ...(withDetails
+          ? { include: [categoryInclude] }
+          : { attributes: ['id', 'duration', 'publishDate', 'deletedAt'] }),
+      },
+    ],
+    order: [
+      ['playlistId', 'ASC'],
+      ['position', 'ASC'],
+    ],
+  });
+}
+
+/**
+ * Playlist fields plus track counts. `totalDuration` (seconds) adds up the
+ * tracks that can currently be played.
+ */
+export function summarizePlaylist(playlist, entries, now = new Date()) {
+  let totalDuration = 0;
+  let unavailableCount = 0;
+  for (const entry of entries) {
+    if (getUnavailableReason(entry, now)) {
+      unavailableCount++;
+    } else {
+      totalDuration += entry.music.duration || 0;
+    }
+  }
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    trackCount: entries.length,
+    unavailableCount,
+    totalDuration,
+    createdAt: playlist.createdAt,
+    updatedAt: playlist.updatedAt,
+  };
+}
+
+/**
+ * Full playlist for API responses. Unavailable entries keep their title and
+ * artist and say why they cannot be played; available ones carry the track
+ * with media URLs signed for the listener.
+ */
+export function formatPlaylist(playlist, entries, { userId }) {
+  const now = new Date();
+  return {
+    ...summarizePlaylist(playlist, entries, now),
+    tracks: entries.map((entry) => {
+      const reason = getUnavailableReason(entry, now);
+      return {
+        entryId: entry.id,
+        position: entry.position,
+        musicId: entry.musicId,
+        title: entry.music?.title ?? entry.title,
+        artist: entry.music?.artist ?? entry.artist,
+        addedAt: entry.createdAt,
+        available: !reason,
+        unavailableReason: reason,
+        music: reason ? null : formatMusic(entry.music, { userId }),
+      };
+    }),
+  };
+}
+
+// Mark the playlist as modified when only its entries changed
+const touchPlaylist = (playlist, transaction) => {
+  playlist.changed('updatedAt', true);
+  return playlist.save({ transaction });
+};
+
+// Lock the playlist row so concurrent edits of its entries run one at a time
+const lockPlaylist = (playlist, transaction) =>
+  Playlist.findByPk(playlist.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+/**
+ * Insert tracks at `position` (appended when omitted), shifting later
+ * entries down. Returns {} or, when a track is already in the playlist or it
+ * would grow too long, { status, body } and inserts nothing.
+ */
+export async function insertPlaylistTracks(playlist, tracks, position) {
+  return sequelize.transaction(async (transaction) => {
+    await lockPlaylist(playlist, transaction);
+    const existing = await PlaylistTrack.findAll({
+      where: { playlistId: playlist.id },
+      attributes: ['musicId'],
+      transaction,
+    });
+    const present = new Set(existing.map((entry) => entry.musicId));
+    const duplicates = tracks.map((music) => music.id).filter((id) => present.has(id));
+    if (duplicates.length) {
+      return { status: 409, body: { message: 'Some tracks are already in this playlist', duplicates } };
+    }
+    if (existing.length + tracks.length > MAX_PLAYLIST_TRACKS) {
+      return { status: 400, body: { message: `A playlist can hold at most ${MAX_PLAYLIST_TRACKS} tracks` } };
+    }
+
+    const start = position === undefined ? existing.length : Math.min(position, existing.length);
+    await PlaylistTrack.increment('position', {
+      by: tracks.length,
+      where: { playlistId: playlist.id, position: { [Op.gte]: start } },
+      transaction,
+    });
+    await PlaylistTrack.bulkCreate(
+      tracks.map((music, index) => ({
+        playlistId: playlist.id,
+        musicId: music.id,
+        position: start + index,
+        title: music.title,
+        artist: music.artist,
+      })),
+      { transaction },
+    );
+    await touchPlaylist(playlist, transaction);
+    return {};
+  });
+}
+
+/**
+ * Remove one entry and close the gap it leaves. An entry removed meanwhile
+ * by another request is left as is.
+ */
+export async function removePlaylistEntry(playlist, entry) {
+  await sequelize.transaction(async (transaction) => {
+    await lockPlaylist(playlist, transaction);
+    // Re-read under the lock: another edit may have moved it
+    const current = await PlaylistTrack.findOne({ where: { id: entry.id, playlistId: playlist.id }, transaction });
+    if (!current) return;
+    await current.destroy({ transaction });
+    await PlaylistTrack.decrement('position', {
+      by: 1,
+      where: { playlistId: playlist.id, position: { [Op.gt]: current.position } },
+      transaction,
+    });
+    await touchPlaylist(playlist, transaction);
+  });
+}
+
+/**
+ * Store a new order. `entryIds` must list every entry of the playlist once;
+ * when the entries changed since they were read, nothing is stored and
+ * { status, body } is returned.
+ */
+export async function reorderPlaylistEntries(playlist, entryIds) {
+  return sequelize.transaction(async (transaction) => {
+    await lockPlaylist(playlist, transaction);
+    const entries = await PlaylistTrack.findAll({ where: { playlistId: playlist.id }, transaction });
+    const byId = new Map(entries.map((entry) => [entry.id, entry]));
+    if (entries.length !== entryIds.length || !entryIds.every((id) => byId.has(id))) {
+      return { status: 409, body: { message: 'The playlist changed meanwhile; reload it and try again' } };
+    }
+
+    for (const [position, entryId] of entryIds.entries()) {
+      const entry = byId.get(entryId);
+      if (entry.position !== position) {
+        await entry.update({ position }, { transaction });
+      }
+    }
+    await touchPlaylist(playlist, transaction);
+    return {};
+  });
+}
+
+/**
+ * Copy a playlist, entries included, for `userId`.
+ */
+export async function duplicatePlaylist(playlist, { userId, name }) {
+  const entries = await PlaylistTrack.findAll({
+    where: { playlistId: playlist.id },
+    order: [['position', 'ASC']],
+  });
+  return sequelize.transaction(async (transaction) => {
+    const copy = await Playlist.create({ userId, name, description: playlist.description }, { transaction });
+    await PlaylistTrack.bulkCreate(
+      entries.map((entry, position) => ({
+        playlistId: copy.id,
+        musicId: entry.musicId,
+        position,
+        title: entry.title,
+        artist: entry.artist,
+      })),
+      { transaction },
+    );
+    return copy;
+  });
+}
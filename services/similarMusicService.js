@@ -0,0 +1,205 @@
+import { Op, QueryTypes, literal } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Music from '../models/Music.js';
+import PlayEvent from '../models/PlayEvent.js';
+import MusicCoListen from '../models/MusicCoListen.js';
+import { categoryInclude, publishedWhere } from '../helpers/musicQueryHelper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Co-listening pairs need this many shared listeners to count
+const MIN_SHARED_LISTENERS = 2;
+// Most similar tracks stored per track
+const MAX_NEIGHBOURS = 50;
+// Users with more distinct tracks in the window are not used for co-listening
+const MAX_TRACKS_PER_USER = 500;
+// Track ids whose pairs are counted and written together while rebuilding
+const TRACK_RANGE_SIZE = 500;
+// Tracks the listener played this recently are not suggested
+const RECENTLY_PLAYED_DAYS = 7;
+
+// Weights of the two signals in the final score
+const CO_LISTEN_WEIGHT = 0.6;
+const CONTENT_WEIGHT = 0.4;
+
+// Days of play history used for co-listening, configurable via SIMILAR_CO_LISTEN_DAYS
+export const getCoListenDays = () => {
+  const days = Number(process.env.SIMILAR_CO_LISTEN_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : 90;
+};
+
+// Distinct (userId, musicId) pairs started within the window. Users with more
+// distinct tracks than MAX_TRACKS_PER_USER (bulk or automated listening) are
+// left out, which also bounds the pairs each user contributes.
+const LISTENS_SQL = `
+  SELECT DISTINCT e.userId, e.musicId
+  FROM play_events e
+  JOIN (
+    SELECT userId FROM play_events
+    WHERE type = 'start' AND clientTimestamp >= :since
+    GROUP BY userId
+    HAVING COUNT(DISTINCT musicId) <= :maxTracks
+  ) u ON u.userId = e.userId
+  WHERE e.type = 'start' AND e.clientTimestamp >= :since`;
+
+/**
+ * Rebuild the co-listening table from the tracks each user started within the
+ * history window. Two tracks are similar when many of the same users play
+ * both; the score is the cosine similarity of their listener sets.
+ *
+ * Pairs are counted by the database, one range of track ids at a time, and
+ * each range is written before the next is read, so memory stays bounded by
+ * the range size rather than the number of users.
+ */
+export async function rebuildCoListening({ days = getCoListenDays() } = {}) {
+  const replacements = {
+    since: new Date(Date.now() - days * DAY_MS),
+    maxTracks: MAX_TRACKS_PER_USER,
+    minShared: MIN_SHARED_LISTENERS,
+  };
+
+  const counts = await sequelize.query(
+    `SELECT musicId, COUNT(*) AS listeners FROM (${LISTENS_SQL}) l GROUP BY musicId`,
+    { replacements, type: QueryTypes.SELECT },
+  );
+  const listeners = new Map(counts.map((row) => [row.musicId, Number(row.listeners)]));
+  // Only ranges holding played tracks need counting; the rest are cleared below
+  const ranges = [...new Set([...listeners.keys()].map((id) => Math.floor((id - 1) / TRACK_RANGE_SIZE)))].sort(
+    (a, b) => a - b,
+  );
+
+  let pairs = 0;
+  for (const range of ranges) {
+    const from = range * TRACK_RANGE_SIZE + 1;
+    const to = from + TRACK_RANGE_SIZE - 1;
+    const shared = await sequelize.query(
+      `SELECT a.musicId, b.musicId AS similarMusicId, COUNT(*) AS listeners
+       FROM (${LISTENS_SQL}) a
+       JOIN (${LISTENS_SQL}) b ON b.userId = a.userId AND b.musicId <> a.musicId
+       WHERE a.musicId BETWEEN :from AND :to
+       GROUP BY a.musicId, b.musicId
+       HAVING COUNT(*) >= :minShared`,
+      { replacements: { ...replacements, from, to }, type: QueryTypes.SELECT },
+    );
+
+    const neighbours = new Map();
+    for (const row of shared) {
+      const entry = {
+        musicId: row.musicId,
+        similarMusicId: row.similarMusicId,
+        score: Number(row.listeners) / Math.sqrt(listeners.get(row.musicId) * listeners.get(row.similarMusicId)),
+        listeners: Number(row.listeners),
+      };
+      if (!neighbours.has(row.musicId)) neighbours.set(row.musicId, []);
+      neighbours.get(row.musicId).push(entry);
+    }
+    const rows = [...neighbours.values()].flatMap((entries) =>
+      entries.sort((x, y) => y.score - x.score || y.listeners - x.listeners).slice(0, MAX_NEIGHBOURS),
+    );
+
+    await sequelize.transaction(async (transaction) => {
+      await MusicCoListen.destroy({ where: { musicId: { [Op.between]: [from, to] } }, transaction });
+      for (let i = 0; i < rows.length; i += 1000) {
+        await MusicCoListen.bulkCreate(rows.slice(i, i + 1000), { transaction });
+      }
+    });
+    pairs += rows.length;
+  }
+
+  // Tracks nobody played within the window keep no neighbours
+  const rebuilt = ranges.map((range) => ({
+    musicId: { [Op.between]: [range * TRACK_RANGE_SIZE + 1, (range + 1) * TRACK_RANGE_SIZE] },
+  }));
+  await MusicCoListen.destroy({ where: rebuilt.length ? { [Op.not]: { [Op.or]: rebuilt } } : {} });
+  return { tracks: listeners.size, pairs };
+}
+
+/**
+ * Content similarity of `candidate` to `music`, 0 to 1: same category and
+ * category type, same artist, and how close the durations are. Returns the
+ * score and the matching reasons.
+ */
+export function scoreContentSimilarity(music, candidate) {
+  const reasons = [];
+  let score = 0;
+  if (candidate.categoryId === music.categoryId) {
+    score += 0.35;
+    reasons.push('category');
+    if (music.categoryType && candidate.categoryType === music.categoryType) {
+      score += 0.25;
+      reasons.push('categoryType');
+    }
+  }
+  if (candidate.artist.trim().toLowerCase() === music.artist.trim().toLowerCase()) {
+    score += 0.25;
+    reasons.push('artist');
+  }
+  const closeness = 1 - Math.abs(candidate.duration - music.duration) / Math.max(candidate.duration, music.duration);
+  if (closeness > 0) {
+    score += 0.15 * closeness;
+    if (closeness >= 0.8) reasons.push('duration');
+  }
+  return { score, reasons };
+}
+
+/**
+ * Tracks to suggest after `music`, best first. Candidates come from the
+ * co-listening table and from the same category or artist; each is scored on
+ * both signals. Tracks `userId` started in the last few days are left out.
+ */
+export async function findSimilarTracks(music, { userId = null, limit, includeUnpublished = false }) {
+  const excluded = [music.id];
+  if (userId) {
+    const recent = await PlayEvent.findAll({
+      where: { userId, clientTimestamp: { [Op.gte]: new Date(Date.now() - RECENTLY_PLAYED_DAYS * DAY_MS) } },
+      attributes: ['musicId'],
+      group: ['musicId'],
+      raw: true,
+    });
+    excluded.push(...recent.map((row) => row.musicId));
+  }
+  const visible = includeUnpublished ? {} : publishedWhere();
+
+  const coListens = await MusicCoListen.findAll({
+    where: { musicId: music.id, similarMusicId: { [Op.notIn]: excluded } },
+    order: [['score', 'DESC']],
+    limit: MAX_NEIGHBOURS,
+  });
+  const coScores = new Map(coListens.map((row) => [row.similarMusicId, row.score]));
+
+  const [coTracks, contentTracks] = await Promise.all([
+    coListens.length
+      ? Music.findAll({ where: { [Op.and]: [visible, { id: [...coScores.keys()] }] }, include: [categoryInclude] })
+      : [],
+    Music.findAll({
+      where: {
+        [Op.and]: [
+          visible,
+          { id: { [Op.notIn]: excluded } },
+          { [Op.or]: [{ categoryId: music.categoryId }, { artist: music.artist }] },
+        ],
+      },
+      include: [categoryInclude],
+      // Closest durations first when a category has more tracks than we score
+      order: [
+        [literal(`ABS(\`Music\`.\`duration\` - ${Number(music.duration) || 0})`), 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit: 200,
+    }),
+  ]);
+
+  const candidates = new Map([...contentTracks, ...coTracks].map((track) => [track.id, track]));
+  return [...candidates.values()]
+    .map((track) => {
+      const content = scoreContentSimilarity(music, track);
+      const coListen = coScores.get(track.id) || 0;
+      return {
+        music: track,
+        score: Math.round((CO_LISTEN_WEIGHT * coListen + CONTENT_WEIGHT * content.score) * 1000) / 1000,
+        reasons: coListen ? [...content.reasons, 'coListening'] : content.reasons,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.music.id - b.music.id)
+    .slice(0, limit);
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { signMediaUrl } from '../../utils/mediaSignature.js';
+
+// Stores media as plain files under a root directory
+class LocalStorageDriver {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = root;
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  resolve(key) {
+    const resolved = path.resolve(this.root, key);
+    if (path.dirname(resolved) !== path.resolve(this.root)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+
+  // Move a local file into storage; falls back to copy across devices
+  async put(key, filePath) {
+    const target = this.resolve(key);
+    if (path.resolve(filePath) === target) return;
+    try {
+      await fs.promises.rename(filePath, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await pipeline(fs.createReadStream(filePath), fs.createWriteStream(target));
+      await fs.promises.unlink(filePath);
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  // Readable stream for the inclusive byte range (whole file when omitted)
+  async getStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Local files are served by the API itself through GET /api/media/:key
+  async getSignedUrl(key, { expiresIn } = {}) {
+    return signMediaUrl(`/api/media/${encodeURIComponent(key)}`, { ttlSeconds: expiresIn }).url;
+  }
+
+  async *list() {
+    const entries = await fs.promises.readdir(this.root, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isFile() && !entry.name.startsWith('.')) {
+        const stats = await fs.promises.stat(path.join(this.root, entry.name));
+        yield { key: entry.name, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Stores media in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+class S3StorageDriver {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials:
+        accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, filePath, { contentType } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType,
+      }),
+    );
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      );
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  // Readable stream for the inclusive byte range (whole object when omitted)
+  async getStream(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    const object = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key), Range: range }),
+    );
+    return object.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+    );
+  }
+
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn },
+    );
+  }
+
+  async *list() {
+    let ContinuationToken;
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.prefix || undefined,
+          ContinuationToken,
+        }),
+      );
+      for (const object of page.Contents || []) {
+        yield {
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified,
+        };
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+}
+
+export default S3StorageDriver;
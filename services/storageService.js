@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { storageConfig } from '../config/storage.js';
+import LocalStorageDriver from './storage/localStorageDriver.js';
+import S3StorageDriver from './storage/s3StorageDriver.js';
+
+/**
+ * Media storage backends share one interface:
+ *   put(key, filePath, { contentType })  store a local file (the local driver moves it)
+ *   getStream(key, { start, end })       readable stream, optional byte range
+ *   stat(key)                            { size, lastModified } or null
+ *   exists(key), delete(key)
+ *   getSignedUrl(key, { expiresIn })     time-limited direct URL
+ *   list()                               async iterator of { key, size, lastModified }
+ */
+export function createStorageDriver(driver = storageConfig.driver) {
+  switch (driver) {
+    case 'local':
+      return new LocalStorageDriver(storageConfig.local);
+    case 's3':
+      return new S3StorageDriver(storageConfig.s3);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+const storage = createStorageDriver();
+
+/**
+ * Storage key for a stored media reference such as "/uploads/<file>".
+ * Returns null for anything that is not a plain filename, which also guards
+ * against path traversal.
+ */
+export function getStorageKey(fileUrl) {
+  if (!fileUrl || typeof fileUrl !== 'string') {
+    return null;
+  }
+  // Remove any path separators and directory traversal attempts
+  const key = path.basename(fileUrl);
+  // Only allow alphanumeric, dash, underscore, and dot
+  if (!/^[a-zA-Z0-9._-]+$/.test(key) || key.startsWith('.')) {
+    return null;
+  }
+  return key;
+}
+
+/**
+ * Hand an incoming upload to the storage backend and return the reference
+ * stored on the database row. The incoming file is always gone afterwards.
+ */
+export async function persistUpload(file) {
+  await storage.put(file.filename, file.path, { contentType: file.mimetype });
+  await fs.promises.rm(file.path, { force: true });
+  return `/uploads/${file.filename}`;
+}
+
+/**
+ * Copy a stored file to a local path, e.g. for tools that need a real file
+ * such as sharp or ffmpeg.
+ */
+export async function downloadToFile(key, localPath) {
+  await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+  await pipeline(await storage.getStream(key), fs.createWriteStream(localPath));
+}
+
+/**
+ * Read a small stored file (e.g. a playlist) into memory.
+ */
+export async function readStoredFile(key) {
+  const chunks = [];
+  for await (const chunk of await storage.getStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Delete the stored file behind a media reference, ignoring invalid keys.
+ */
+export async function deleteStoredFile(fileUrl) {
+  const key = getStorageKey(fileUrl);
+  if (key) {
+    await storage.delete(key);
+  }
+}
+
+export default storage;
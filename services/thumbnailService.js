@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { incomingDir } from '../config/storage.js';
+import storage, { getStorageKey, downloadToFile } from './storageService.js';
+import UploadError from '../utils/uploadError.js';
+
+// Input formats accepted for artwork, as reported by sharp after decoding
+const SUPPORTED_INPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+
+// Rendition formats: WebP for modern clients plus a JPEG fallback
+export const THUMBNAIL_FORMATS = {
+  webp: { extension: 'webp', options: { quality: 80 } },
+  jpeg: { extension: 'jpg', options: { quality: 82, mozjpeg: true } },
+};
+
+// Square bounding boxes (px) to render, configurable via THUMBNAIL_SIZES
+export const getThumbnailSizes = () =>
+  (process.env.THUMBNAIL_SIZES || '128,512,1024')
+    .split(',')
+    .map((size) => Number(size.trim()))
+    .filter((size) => Number.isInteger(size) && size > 0);
+
+/**
+ * Decode the file to check it is really an image. Throws a 415 UploadError
+ * for anything sharp cannot read or that is not an allowed format.
+ */
+export async function assertImageFile(filePath) {
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+  if (!metadata || !SUPPORTED_INPUT_FORMATS.includes(metadata.format)) {
+    throw new UploadError(415, 'Thumbnail must be a JPEG, PNG, WebP, GIF, AVIF, HEIF or TIFF image');
+  }
+  return metadata;
+}
+
+/**
+ * Re-encode an image in place without its EXIF/XMP metadata. The EXIF
+ * orientation is applied first so the stripped image still displays upright.
+ * Formats browsers cannot show (HEIF, TIFF) become JPEG; returns the format
+ * written.
+ */
+export async function stripImageMetadata(filePath, format) {
+  const outputFormat = ['jpeg', 'png', 'webp', 'gif', 'avif'].includes(format) ? format : 'jpeg';
+  const cleanPath = `${filePath}.clean`;
+  try {
+    await sharp(filePath, { animated: format === 'gif' })
+      .rotate()
+      .toFormat(outputFormat)
+      .toFile(cleanPath);
+    await fs.promises.rename(cleanPath, filePath);
+  } finally {
+    // Gone after a successful rename; left behind when sharp fails
+    await fs.promises.rm(cleanPath, { force: true });
+  }
+  return outputFormat;
+}
+
+/**
+ * Render every configured size and format from a local source image and
+ * store them. Returns the rendition map saved on Music.thumbnails, e.g.
+ * { "128": { "webp": "/uploads/x_128.webp", "jpeg": "/uploads/x_128.jpg" } }.
+ */
+export async function generateThumbnailRenditions(sourcePath, baseName) {
+  const renditions = {};
+  const stored = [];
+
+  try {
+    for (const size of getThumbnailSizes()) {
+      renditions[size] = {};
+      for (const [format, { extension, options }] of Object.entries(THUMBNAIL_FORMATS)) {
+        const key = `${baseName}_${size}.${extension}`;
+        const outputPath = path.join(incomingDir, key);
+        // sharp strips metadata from its output unless asked to keep it
+        await sharp(sourcePath)
+          .rotate()
+          .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+          .flatten(format === 'jpeg' ? { background: '#ffffff' } : false)
+          .toFormat(format, options)
+          .toFile(outputPath);
+        await storage.put(key, outputPath, { contentType: `image/${format}` });
+        await fs.promises.rm(outputPath, { force: true });
+        stored.push(key);
+        renditions[size][format] = `/uploads/${key}`;
+      }
+    }
+  } catch (error) {
+    // Don't leave a partial set of renditions behind
+    await Promise.all(stored.map((key) => storage.delete(key).catch(() => {})));
+    throw error;
+  }
+
+  return renditions;
+}
+
+/**
+ * Validate an uploaded thumbnail, strip its metadata and generate its
+ * renditions. The upload itself is left for the caller to persist; when it
+ * was converted to JPEG, `file` is renamed to match so it is stored as one.
+ */
+export async function processUploadedThumbnail(file) {
+  const { format } = await assertImageFile(file.path);
+  const outputFormat = await stripImageMetadata(file.path, format);
+  if (outputFormat !== format) {
+    const filename = `${path.parse(file.filename).name}.${THUMBNAIL_FORMATS.jpeg.extension}`;
+    const filePath = path.join(path.dirname(file.path), filename);
+    await fs.promises.rename(file.path, filePath);
+    Object.assign(file, { path: filePath, filename, mimetype: `image/${outputFormat}` });
+  }
+  return generateThumbnailRenditions(file.path, path.parse(file.filename).name);
+}
+
+/**
+ * Generate renditions for an image that is already in storage (backfill).
+ */
+export async function generateRenditionsFromStorage(thumbnailUrl) {
+  const key = getStorageKey(thumbnailUrl);
+  if (!key || !(await storage.exists(key))) {
+    throw new Error(`Thumbnail not found in storage: ${thumbnailUrl}`);
+  }
+
+  const localPath = path.join(incomingDir, `backfill-${Date.now()}-${key}`);
+  try {
+    await downloadToFile(key, localPath);
+    await assertImageFile(localPath);
+    return await generateThumbnailRenditions(localPath, path.parse(key).name);
+  } finally {
+    await fs.promises.rm(localPath, { force: true });
+  }
+}
+
+/**
+ * Storage keys of every file in a rendition map.
+ */
+export function getRenditionKeys(thumbnails) {
+  if (!thumbnails || typeof thumbnails !== 'object') return [];
+  return Object.values(thumbnails)
+    .flatMap((formats) => Object.values(formats || {}))
+    .map(getStorageKey)
+    .filter(Boolean);
+}
+
+/**
+ * Delete every file in a rendition map, ignoring files already gone.
+ */
+export async function deleteThumbnailRenditions(thumbnails) {
+  for (const key of getRenditionKeys(thumbnails)) {
+    await storage.delete(key);
+  }
+}
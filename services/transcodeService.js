@@ -0,0 +1,423 @@
+import fs from 'fs';
+import path from 'path';
+import { Op } from 'sequelize';
+import Music from '../models/Music.js';
+import MusicRendition from '../models/MusicRendition.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import { incomingDir } from '../config/storage.js';
+import storage, { getStorageKey, downloadToFile } from './storageService.js';
+import { getAudioQuality } from './audioMetadataService.js';
+import { generateWaveforms } from './waveformService.js';
+import { runFfmpeg, getFfmpegTimeoutMs } from '../utils/ffmpeg.js';
+
+/**
+ * Playback profiles, lowest quality first. `rank` orders the progressive
+ * profiles so a plan entitled to one may fall back to any lower-ranked
+ * rendition. `hls` is the adaptive package (see packageHls) and `waveform`
+ * the peak data for drawing waveforms; neither is picked for progressive
+ * playback.
+ */
+export const TRANSCODE_PROFILES = {
+  aac_128: {
+    label: 'AAC 128 kbps',
+    rank: 1,
+    codec: 'aac',
+    bitrate: 128000,
+    extension: 'm4a',
+    contentType: 'audio/mp4',
+    args: ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'],
+  },
+  aac_256: {
+    label: 'AAC 256 kbps',
+    rank: 2,
+    codec: 'aac',
+    bitrate: 256000,
+    extension: 'm4a',
+    contentType: 'audio/mp4',
+    args: ['-c:a', 'aac', '-b:a', '256k', '-movflags', '+faststart'],
+  },
+  flac: {
+    label: 'FLAC lossless',
+    rank: 3,
+    codec: 'flac',
+    lossless: true,
+    extension: 'flac',
+    contentType: 'audio/flac',
+    args: ['-c:a', 'flac'],
+  },
+  hls: {
+    label: 'HLS adaptive',
+    hls: true,
+    contentType: 'application/vnd.apple.mpegurl',
+  },
+  waveform: {
+    label: 'Waveform peaks',
+    waveform: true,
+    contentType: 'application/json',
+  },
+};
+
+// AAC bitrates (kbps) of the HLS variants, configurable via HLS_VARIANTS
+export const getHlsVariantBitrates = () =>
+  (process.env.HLS_VARIANTS || '64,128,256')
+    .split(',')
+    .map((kbps) => Number(kbps.trim()) * 1000)
+    .filter((bitrate) => Number.isInteger(bitrate) && bitrate > 0)
+    .sort((a, b) => a - b);
+
+const getHlsSegmentSeconds = () => Number(process.env.HLS_SEGMENT_SECONDS) || 6;
+
+// Profiles to produce, configurable via TRANSCODE_PROFILES
+export const getEnabledProfiles = () => {
+  const configured = (process.env.TRANSCODE_PROFILES || Object.keys(TRANSCODE_PROFILES).join(','))
+    .split(',')
+    .map((name) => name.trim());
+  return Object.keys(TRANSCODE_PROFILES).filter((name) => configured.includes(name));
+};
+
+/**
+ * Map a plan's free-text `audioFileType` ("Lossless FLAC", "AAC 256kbps",
+ * "Standard", or a profile name) to the best enabled profile it allows.
+ */
+export function getProfileForPlan(plan) {
+  const enabled = getEnabledProfiles().filter((name) => TRANSCODE_PROFILES[name].rank);
+  if (!enabled.length) return null;
+  const audioFileType = String(plan?.audioFileType || '').trim().toLowerCase();
+
+  if (enabled.includes(audioFileType)) return audioFileType;
+
+  let maxRank = 1;
+  if (/flac|lossless|hi-?res|wav/.test(audioFileType)) {
+    maxRank = Infinity;
+  } else {
+    const kbps = /(\d{2,4})\s*k/.exec(audioFileType);
+    if (kbps) {
+      const bitrate = Number(kbps[1]) * 1000;
+      maxRank = Math.max(
+        1,
+        ...enabled
+          .filter((name) => TRANSCODE_PROFILES[name].bitrate <= bitrate)
+          .map((name) => TRANSCODE_PROFILES[name].rank),
+      );
+    } else if (/high|premium/.test(audioFileType)) {
+      maxRank = 2;
+    }
+  }
+
+  return enabled
+    .filter((name) => TRANSCODE_PROFILES[name].rank <= maxRank)
+    .reduce((best, name) => (TRANSCODE_PROFILES[name].rank > TRANSCODE_PROFILES[best].rank ? name : best), enabled[0]);
+}
+
+/**
+ * Highest bitrate a plan may stream over HLS; unlimited for lossless plans
+ * and admins (no plan).
+ */
+export function getMaxBitrateForPlan(plan) {
+  if (!plan) return Infinity;
+  const profile = TRANSCODE_PROFILES[getProfileForPlan(plan)];
+  return !profile || profile.lossless ? Infinity : profile.bitrate;
+}
+
+/**
+ * The plan behind a user's subscription. Subscriptions created before the
+ * Stripe price id was stored on the user fall back to the current plan.
+ */
+export async function getPlanForUser(user) {
+  const priceId = user?.subscription?.priceId;
+  if (priceId) {
+    const plan = await SubscriptionPlan.findOne({
+      where: {
+        [Op.or]: [
+          { stripePriceId: priceId },
+          { stripeMonthlyPriceId: priceId },
+          { stripeYearlyPriceId: priceId },
+        ],
+      },
+    });
+    if (plan) return plan;
+  }
+  return SubscriptionPlan.getCurrentActivePlan();
+}
+
+/**
+ * Pick the ready rendition to play for a profile: the profile itself, or the
+ * best lower-ranked one. Returns null when none is ready, in which case the
+ * master file is served.
+ */
+export async function selectRendition(musicId, profileName) {
+  const profile = TRANSCODE_PROFILES[profileName];
+  if (!profile) return null;
+
+  const ready = await MusicRendition.findAll({ where: { musicId, status: 'ready' } });
+  return ready
+    .filter((rendition) => TRANSCODE_PROFILES[rendition.profile]?.rank <= profile.rank)
+    .sort((a, b) => TRANSCODE_PROFILES[b.profile].rank - TRANSCODE_PROFILES[a.profile].rank)[0] || null;
+}
+
+/**
+ * Segment the master into one AAC HLS variant per configured bitrate. Keys
+ * stay flat like every other stored file: "<master>_hls_<kbps>k.m3u8" for
+ * the variant playlist and "<master>_hls_<kbps>k_00000.ts" for its segments.
+ * The master playlist is built per request, so it is not stored.
+ */
+async function packageHls(rendition, inputPath, baseName) {
+  const workDir = await fs.promises.mkdtemp(path.join(incomingDir, `hls-${rendition.id}-`));
+  const variants = [];
+  let totalSize = 0;
+
+  try {
+    for (const bitrate of getHlsVariantBitrates()) {
+      const name = `${baseName}_hls_${bitrate / 1000}k`;
+      const playlist = `${name}.m3u8`;
+      const segmentPrefix = `${name}_`;
+      await runFfmpeg(inputPath, [
+        '-c:a', 'aac',
+        '-b:a', String(bitrate),
+        '-f', 'hls',
+        '-hls_time', String(getHlsSegmentSeconds()),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(workDir, `${segmentPrefix}%05d.ts`),
+        path.join(workDir, playlist),
+      ]);
+
+      // Upload segments first so a stored playlist never points at missing files
+      const segments = (await fs.promises.readdir(workDir)).filter((file) => file.startsWith(segmentPrefix)).sort();
+      for (const segment of [...segments, playlist]) {
+        const filePath = path.join(workDir, segment);
+        totalSize += (await fs.promises.stat(filePath)).size;
+        await storage.put(segment, filePath, {
+          contentType: segment === playlist ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
+        });
+      }
+      variants.push({ bitrate, playlist, segmentPrefix, segmentCount: segments.length });
+    }
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  await rendition.update({
+    status: 'ready',
+    fileUrl: null,
+    codec: 'aac',
+    bitrate: null,
+    fileSize: totalSize,
+    variants,
+    error: null,
+    completedAt: new Date(),
+  });
+}
+
+async function transcodeRendition(rendition) {
+  const music = await Music.findByPk(rendition.musicId, {
+    attributes: ['id', 'fileUrl', 'duration', 'codec', 'sampleRate', 'bitsPerSample'],
+  });
+  if (!music) {
+    await rendition.destroy();
+    return;
+  }
+
+  const profile = TRANSCODE_PROFILES[rendition.profile];
+  if (!profile) {
+    throw new Error(`Unknown transcode profile: ${rendition.profile}`);
+  }
+  // A lossless copy of a lossy master is only bigger, never better
+  if (profile.lossless && !['lossless', 'hi-res'].includes(getAudioQuality(music))) {
+    await rendition.update({ status: 'skipped', error: null, completedAt: new Date() });
+    return;
+  }
+
+  const sourceKey = getStorageKey(music.fileUrl);
+  if (!sourceKey || !(await storage.exists(sourceKey))) {
+    throw new Error(`Master file not found in storage: ${music.fileUrl}`);
+  }
+
+  const baseName = path.parse(sourceKey).name;
+  const outputKey = `${baseName}_${rendition.profile}.${profile.extension}`;
+  const inputPath = path.join(incomingDir, `transcode-${rendition.id}-${sourceKey}`);
+  const outputPath = path.join(incomingDir, `transcode-${rendition.id}-${outputKey}`);
+
+  try {
+    await downloadToFile(sourceKey, inputPath);
+    if (profile.hls) {
+      await packageHls(rendition, inputPath, baseName);
+      return;
+    }
+    if (profile.waveform) {
+      const { variants } = await generateWaveforms(inputPath, baseName, music.duration);
+      await rendition.update({
+        status: 'ready',
+        fileUrl: null,
+        variants,
+        error: null,
+        completedAt: new Date(),
+      });
+      return;
+    }
+    await runFfmpeg(inputPath, [...profile.args, outputPath]);
+    const { size } = await fs.promises.stat(outputPath);
+    await storage.put(outputKey, outputPath, { contentType: profile.contentType });
+
+    await rendition.update({
+      status: 'ready',
+      fileUrl: `/uploads/${outputKey}`,
+      codec: profile.codec,
+      bitrate: profile.bitrate || null,
+      fileSize: size,
+      error: null,
+      completedAt: new Date(),
+    });
+  } finally {
+    await fs.promises.rm(inputPath, { force: true });
+    await fs.promises.rm(outputPath, { force: true });
+  }
+}
+
+/**
+ * Processes pending renditions one at a time in the background. Jobs are
+ * claimed with a conditional update so several app instances can share the
+ * table without transcoding the same rendition twice.
+ */
+class TranscodeWorker {
+  constructor() {
+    this.draining = null;
+  }
+
+  // Start draining the queue unless a drain is already in progress
+  kick() {
+    if (!this.draining) {
+      this.draining = this.drain()
+        .catch((error) => console.error('Transcode worker error:', error))
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+    return this.draining;
+  }
+
+  async drain() {
+    for (;;) {
+      const next = await MusicRendition.findOne({ where: { status: 'pending' }, order: [['id', 'ASC']] });
+      if (!next) return;
+
+      const [claimed] = await MusicRendition.update(
+        { status: 'processing', startedAt: new Date(), attempts: next.attempts + 1 },
+        { where: { id: next.id, status: 'pending' } },
+      );
+      if (!claimed) continue;
+
+      await next.reload();
+      try {
+        await transcodeRendition(next);
+      } catch (error) {
+        console.error(`Transcode ${next.profile} for music ${next.musicId} failed:`, error.message);
+        await next.update({ status: 'failed', error: error.message.slice(0, 2000), completedAt: new Date() });
+      }
+    }
+  }
+
+  /**
+   * Return jobs left "processing" by a crashed or restarted instance to the
+   * queue, then drain it.
+   */
+  async resumeStalled() {
+    const [requeued] = await MusicRendition.update(
+      { status: 'pending' },
+      {
+        where: {
+          status: 'processing',
+          startedAt: { [Op.lt]: new Date(Date.now() - 2 * getFfmpegTimeoutMs()) },
+        },
+      },
+    );
+    await this.kick();
+    return requeued;
+  }
+}
+
+export const transcodeWorker = new TranscodeWorker();
+
+/**
+ * Queue renditions for a track. New profiles are always queued; existing
+ * ones only when they failed, or for every profile with `force`. Pass
+ * `profiles` to limit the job to some of the enabled profiles, and
+ * `startWorker: false` to only queue.
+ */
+export async function queueTranscodes(musicId, { profiles, force = false, startWorker = true } = {}) {
+  const enabled = getEnabledProfiles();
+  const targets = profiles ? profiles.filter((name) => enabled.includes(name)) : enabled;
+
+  for (const profile of targets) {
+    const [rendition, created] = await MusicRendition.findOrCreate({
+      where: { musicId, profile },
+      defaults: { status: 'pending' },
+    });
+    if (!created && (force || rendition.status === 'failed') && rendition.status !== 'processing') {
+      await rendition.update({ status: 'pending', error: null, startedAt: null, completedAt: null });
+    }
+  }
+
+  if (startWorker) {
+    transcodeWorker.kick();
+  }
+  return getTranscodeStatus(musicId);
+}
+
+/**
+ * Transcode rows for a track, in profile order.
+ */
+export async function getTranscodeStatus(musicId) {
+  const renditions = await MusicRendition.findAll({ where: { musicId } });
+  return renditions.sort(
+    (a, b) => (TRANSCODE_PROFILES[a.profile]?.rank || 0) - (TRANSCODE_PROFILES[b.profile]?.rank || 0),
+  );
+}
+
+/**
+ * Every storage key a rendition owns: its file, an HLS package's playlists
+ * and segments, or the waveform files.
+ */
+export function getRenditionStorageKeys(rendition) {
+  const keys = [];
+  const fileKey = getStorageKey(rendition.fileUrl);
+  if (fileKey) keys.push(fileKey);
+  for (const variant of rendition.variants || []) {
+    if (variant.file) {
+      keys.push(variant.file);
+      continue;
+    }
+    keys.push(variant.playlist);
+    for (let index = 0; index < variant.segmentCount; index++) {
+      keys.push(`${variant.segmentPrefix}${String(index).padStart(5, '0')}.ts`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Delete a track's renditions, stored files included. Used when the master
+ * is replaced or the track removed.
+ */
+export async function deleteRenditions(musicId) {
+  const renditions = await MusicRendition.findAll({ where: { musicId } });
+  for (const rendition of renditions) {
+    for (const key of getRenditionStorageKeys(rendition)) {
+      await storage.delete(key);
+    }
+    await rendition.destroy();
+  }
+}
+
+/**
+ * The ready HLS package of a track, or null.
+ */
+export function findHlsPackage(musicId) {
+  return MusicRendition.findOne({ where: { musicId, profile: 'hls', status: 'ready' } });
+}
+
+/**
+ * The ready waveform rendition of a track, or null.
+ */
+export function findWaveform(musicId) {
+  return MusicRendition.findOne({ where: { musicId, profile: 'waveform', status: 'ready' } });
+}
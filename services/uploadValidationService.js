@@ -0,0 +1,62 @@
+import fs from 'fs';
+import { uploadRules } from '../config/upload.js';
+import { FILE_FORMATS, detectFileFormat } from '../utils/fileSignature.js';
+import UploadError from '../utils/uploadError.js';
+
+const formatSize = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+
+// Largest size any field accepts, for limits applied before the field is known
+export const getMaxUploadSize = () => Math.max(...Object.values(uploadRules).map((rule) => rule.maxSize));
+
+// 413 for a file over its field's limit
+export function uploadSizeError(field, size) {
+  const rule = uploadRules[field];
+  const maxSize = rule ? rule.maxSize : getMaxUploadSize();
+  return new UploadError(413, `${rule?.label || 'File'} must be ${formatSize(maxSize)} or smaller`, {
+    field,
+    maxSize,
+    ...(size !== undefined && { size }),
+  });
+}
+
+/**
+ * Reject a file that is larger than its field allows (413).
+ */
+export function assertUploadSize(field, size) {
+  const rule = uploadRules[field];
+  if (rule && size > rule.maxSize) {
+    throw uploadSizeError(field, size);
+  }
+}
+
+/**
+ * Check a file's magic bytes against the formats its field allows (415).
+ * Returns the detected format; the extension and client MIME type are ignored.
+ */
+export async function assertUploadFormat(field, filePath) {
+  const rule = uploadRules[field];
+  const format = await detectFileFormat(filePath);
+  if (rule && !rule.formats.includes(format)) {
+    throw new UploadError(
+      415,
+      `${rule.label} must be one of: ${rule.formats.join(', ')}` +
+        (format ? ` (received ${format})` : ' (unrecognised file type)'),
+      { field, allowedFormats: rule.formats, detectedFormat: format },
+    );
+  }
+  return format;
+}
+
+/**
+ * Validate an uploaded file against the rules of its field. On success the
+ * file's MIME type is replaced with the one matching its content, so storage
+ * serves it with the right Content-Type.
+ */
+export async function validateUploadedFile(file, field = file.fieldname) {
+  assertUploadSize(field, file.size ?? (await fs.promises.stat(file.path)).size);
+  const format = await assertUploadFormat(field, file.path);
+  if (format) {
+    file.mimetype = FILE_FORMATS[format].mimeType;
+  }
+  return format;
+}
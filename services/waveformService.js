@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { incomingDir } from '../config/storage.js';
+import storage from './storageService.js';
+import { runFfmpeg } from '../utils/ffmpeg.js';
+
+// Audio is decoded to mono 16-bit PCM at this rate; plenty for drawing peaks
+const SAMPLE_RATE = 16000;
+
+// Peak counts to store per track, configurable via WAVEFORM_RESOLUTIONS
+export const getWaveformResolutions = () =>
+  (process.env.WAVEFORM_RESOLUTIONS || '256,1024,4096')
+    .split(',')
+    .map((resolution) => Number(resolution.trim()))
+    .filter((resolution) => Number.isInteger(resolution) && resolution > 0)
+    .sort((a, b) => a - b);
+
+/**
+ * Folds little-endian 16-bit PCM into min/max pairs. Whenever more than
+ * `maxPeaks` pairs pile up, neighbours are merged and the block size doubles,
+ * so memory stays bounded even when the duration hint is wrong.
+ */
+class PeakAccumulator {
+  constructor(samplesPerPeak, maxPeaks) {
+    this.samplesPerPeak = samplesPerPeak;
+    this.maxPeaks = maxPeaks;
+    this.peaks = [];
+    this.totalSamples = 0;
+    this.blockSamples = 0;
+    this.min = 0;
+    this.max = 0;
+    this.leftover = null;
+  }
+
+  push(chunk) {
+    let data = chunk;
+    if (this.leftover) {
+      data = Buffer.concat([this.leftover, chunk]);
+      this.leftover = null;
+    }
+    const usable = data.length - (data.length % 2);
+    if (usable < data.length) {
+      this.leftover = data.subarray(usable);
+    }
+
+    for (let offset = 0; offset < usable; offset += 2) {
+      const sample = data.readInt16LE(offset);
+      if (this.blockSamples === 0) {
+        this.min = sample;
+        this.max = sample;
+      } else if (sample < this.min) {
+        this.min = sample;
+      } else if (sample > this.max) {
+        this.max = sample;
+      }
+      this.totalSamples++;
+      if (++this.blockSamples === this.samplesPerPeak) {
+        this.flush();
+      }
+    }
+  }
+
+  flush() {
+    if (!this.blockSamples) return;
+    this.peaks.push(this.min, this.max);
+    this.blockSamples = 0;
+    if (this.peaks.length / 2 > this.maxPeaks) {
+      const merged = [];
+      for (let index = 0; index < this.peaks.length; index += 4) {
+        const next = index + 2 < this.peaks.length ? index + 2 : index;
+        merged.push(Math.min(this.peaks[index], this.peaks[next]), Math.max(this.peaks[index + 1], this.peaks[next + 1]));
+      }
+      this.peaks = merged;
+      this.samplesPerPeak *= 2;
+    }
+  }
+}
+
+/**
+ * Reduce min/max pairs to at most `resolution` pairs.
+ */
+export function downsamplePeaks(peaks, resolution) {
+  const count = peaks.length / 2;
+  if (count <= resolution) return peaks.slice();
+
+  const result = [];
+  for (let bucket = 0; bucket < resolution; bucket++) {
+    const start = Math.floor((bucket * count) / resolution);
+    const end = Math.floor(((bucket + 1) * count) / resolution);
+    let min = peaks[start * 2];
+    let max = peaks[start * 2 + 1];
+    for (let index = start + 1; index < end; index++) {
+      min = Math.min(min, peaks[index * 2]);
+      max = Math.max(max, peaks[index * 2 + 1]);
+    }
+    result.push(min, max);
+  }
+  return result;
+}
+
+/**
+ * Decode a file and return its peaks at the highest resolution needed.
+ * `durationHint` (seconds) sizes the blocks so about twice that many pairs
+ * are collected before downsampling.
+ */
+export async function computePeaks(inputPath, durationHint, maxResolution) {
+  const expectedSamples = (Number(durationHint) || 60) * SAMPLE_RATE;
+  const samplesPerPeak = Math.max(1, Math.floor(expectedSamples / (maxResolution * 2)));
+  const accumulator = new PeakAccumulator(samplesPerPeak, maxResolution * 4);
+
+  await runFfmpeg(inputPath, ['-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 's16le', 'pipe:1'], {
+    onStdout: (chunk) => accumulator.push(chunk),
+  });
+  accumulator.flush();
+
+  return { peaks: accumulator.peaks, totalSamples: accumulator.totalSamples };
+}
+
+/**
+ * Waveform document in the audiowaveform JSON format (8-bit), which
+ * waveform libraries such as peaks.js read directly.
+ */
+export function buildWaveformDocument(peaks, totalSamples) {
+  const length = peaks.length / 2;
+  return {
+    version: 2,
+    channels: 1,
+    sample_rate: SAMPLE_RATE,
+    samples_per_pixel: length ? Math.ceil(totalSamples / length) : 0,
+    bits: 8,
+    length,
+    data: peaks.map((value) => value >> 8),
+  };
+}
+
+/**
+ * Compute and store a track's waveform at every configured resolution as
+ * "<master>_waveform_<resolution>.json". Returns the stored variants.
+ */
+export async function generateWaveforms(inputPath, baseName, durationHint) {
+  const resolutions = getWaveformResolutions();
+  const { peaks, totalSamples } = await computePeaks(inputPath, durationHint, resolutions[resolutions.length - 1]);
+  const variants = [];
+
+  for (const resolution of resolutions) {
+    const file = `${baseName}_waveform_${resolution}.json`;
+    const document = buildWaveformDocument(downsamplePeaks(peaks, resolution), totalSamples);
+    const filePath = path.join(incomingDir, `waveform-${Date.now()}-${file}`);
+    await fs.promises.writeFile(filePath, JSON.stringify(document));
+    try {
+      await storage.put(file, filePath, { contentType: 'application/json' });
+    } finally {
+      await fs.promises.rm(filePath, { force: true });
+    }
+    variants.push({ resolution, file, length: document.length });
+  }
+
+  return { variants, duration: totalSamples / SAMPLE_RATE };
+}
@@ -0,0 +1,41 @@
+import { spawn } from 'child_process';
+
+// Longest a single ffmpeg run may take, configurable via TRANSCODE_TIMEOUT_MINUTES
+export const getFfmpegTimeoutMs = () => (Number(process.env.TRANSCODE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Run ffmpeg on the first audio stream of a file. `outputArgs` holds the
+ * codec options and output target. Pass `onStdout` to consume the output
+ * when it is written to "pipe:1". Resolves when ffmpeg exits cleanly and
+ * rejects with the tail of its log otherwise; runs longer than
+ * TRANSCODE_TIMEOUT_MINUTES are killed.
+ */
+export function runFfmpeg(inputPath, outputArgs, { onStdout } = {}) {
+  const args = ['-hide_banner', '-nostdin', '-y', '-i', inputPath, '-map', '0:a:0', ...outputArgs];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.env.FFMPEG_PATH || 'ffmpeg', args, {
+      stdio: ['ignore', onStdout ? 'pipe' : 'ignore', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      // Keep only the tail, which is where ffmpeg reports the failure
+      stderr = (stderr + data).slice(-4000);
+    });
+    if (onStdout) {
+      child.stdout.on('data', onStdout);
+    }
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), getFfmpegTimeoutMs());
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error('ffmpeg not found (set FFMPEG_PATH)') : error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const reason = signal ? `killed by ${signal}` : `exited with code ${code}`;
+      reject(new Error(`ffmpeg ${reason}: ${stderr.trim().split('\n').slice(-3).join(' | ')}`));
+    });
+  });
+}
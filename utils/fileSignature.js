@@ -0,0 +1,154 @@
+import fs from 'fs';
+
+// Formats recognised by their leading bytes, with the MIME type they are stored under
+export const FILE_FORMATS = {
+  mp3: { kind: 'audio', mimeType: 'audio/mpeg' },
+  aac: { kind: 'audio', mimeType: 'audio/aac' },
+  m4a: { kind: 'audio', mimeType: 'audio/mp4' },
+  wav: { kind: 'audio', mimeType: 'audio/wav' },
+  flac: { kind: 'audio', mimeType: 'audio/flac' },
+  ogg: { kind: 'audio', mimeType: 'audio/ogg' },
+  opus: { kind: 'audio', mimeType: 'audio/ogg; codecs=opus' },
+  aiff: { kind: 'audio', mimeType: 'audio/aiff' },
+  jpeg: { kind: 'image', mimeType: 'image/jpeg' },
+  png: { kind: 'image', mimeType: 'image/png' },
+  gif: { kind: 'image', mimeType: 'image/gif' },
+  webp: { kind: 'image', mimeType: 'image/webp' },
+  avif: { kind: 'image', mimeType: 'image/avif' },
+  heif: { kind: 'image', mimeType: 'image/heif' },
+  tiff: { kind: 'image', mimeType: 'image/tiff' },
+};
+
+const HEADER_BYTES = 64;
+// ISO-BMFF brands: audio-only MP4 brands, image brands, and the generic
+// brands used by audio and video alike, which are told apart by their tracks
+const AUDIO_BRANDS = ['M4A ', 'M4B ', 'M4P '];
+const IMAGE_BRANDS = { avif: 'avif', avis: 'avif', heic: 'heif', heix: 'heif', mif1: 'heif', msf1: 'heif' };
+const GENERIC_BRANDS = ['isom', 'iso2', 'mp41', 'mp42'];
+// Larger movie headers are not read when looking for the track types
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+/**
+ * Identify a format from the first bytes of a file. Returns null for
+ * anything not in FILE_FORMATS.
+ */
+export function detectFormat(header) {
+  if (header.length < 12) return null;
+
+  const tag = ascii(header, 0, 4);
+  if (tag === 'fLaC') return 'flac';
+  if (tag === 'OggS') return ascii(header, 28, 36) === 'OpusHead' ? 'opus' : 'ogg';
+  if (tag === 'RIFF') {
+    const type = ascii(header, 8, 12);
+    if (type === 'WAVE') return 'wav';
+    if (type === 'WEBP') return 'webp';
+    return null;
+  }
+  if (tag === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(header, 8, 12))) return 'aiff';
+  if (ascii(header, 4, 8) === 'ftyp') {
+    const brand = ascii(header, 8, 12);
+    return AUDIO_BRANDS.includes(brand) ? 'm4a' : IMAGE_BRANDS[brand] || null;
+  }
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (['GIF87a', 'GIF89a'].includes(ascii(header, 0, 6))) return 'gif';
+  if (['II*\0', 'MM\0*'].includes(tag)) return 'tiff';
+
+  // MPEG audio frame sync: 11 set bits. Layer bits 00 mark an ADTS (AAC) stream
+  if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+    return (header[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  }
+  return null;
+}
+
+// Boxes between `start` and `end` of an ISO-BMFF buffer as { type, start, end }
+// of their payload. Stops at the first box that does not fit.
+function* readBoxes(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) return;
+    yield { type: ascii(buffer, offset + 4, offset + 8), start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+// Handler types ('soun', 'vide', ...) of the tracks of an MP4 file, or null
+// when its movie header cannot be found or is too large to read
+async function readTrackHandlers(handle) {
+  const { size: fileSize } = await handle.stat();
+  const boxHeader = Buffer.alloc(16);
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const { bytesRead } = await handle.read(boxHeader, 0, 16, offset);
+    let size = boxHeader.readUInt32BE(0);
+    if (size === 1 && bytesRead === 16) size = Number(boxHeader.readBigUInt64BE(8));
+    else if (size === 0) size = fileSize - offset;
+    if (size < 8) return null;
+
+    if (ascii(boxHeader, 4, 8) === 'moov') {
+      if (size > MAX_MOOV_BYTES || offset + size > fileSize) return null;
+      const moov = Buffer.alloc(size);
+      await handle.read(moov, 0, size, offset);
+      const handlers = [];
+      for (const trak of readBoxes(moov, 8)) {
+        if (trak.type !== 'trak') continue;
+        for (const mdia of readBoxes(moov, trak.start, trak.end)) {
+          if (mdia.type !== 'mdia') continue;
+          for (const hdlr of readBoxes(moov, mdia.start, mdia.end)) {
+            // version/flags and pre_defined precede the handler type
+            if (hdlr.type === 'hdlr' && hdlr.end - hdlr.start >= 12) {
+              handlers.push(ascii(moov, hdlr.start + 8, hdlr.start + 12));
+            }
+          }
+        }
+      }
+      return handlers;
+    }
+    offset += size;
+  }
+  return null;
+}
+
+/**
+ * Detect the format of a file on disk. An ID3v2 tag is skipped so tagged
+ * FLAC and AAC files are recognised; the tag must be followed by MPEG frames
+ * or another audio format. Generic MP4 brands count as m4a only when the
+ * file has audio tracks and no video track.
+ */
+export async function detectFileFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(header, 0, HEADER_BYTES, 0);
+    if (bytesRead >= 10 && ascii(header, 0, 3) === 'ID3') {
+      // Tag size is a 28-bit "syncsafe" integer; a footer adds 10 more bytes
+      const size = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) | ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+      const offset = 10 + size + (header[5] & 0x10 ? 10 : 0);
+      const payload = Buffer.alloc(HEADER_BYTES);
+      const { bytesRead: payloadBytes } = await handle.read(payload, 0, HEADER_BYTES, offset);
+      const format = detectFormat(payload.subarray(0, payloadBytes));
+      return FILE_FORMATS[format]?.kind === 'audio' ? format : null;
+    }
+
+    const format = detectFormat(header.subarray(0, bytesRead));
+    if (!format && bytesRead >= 12 && ascii(header, 4, 8) === 'ftyp' && GENERIC_BRANDS.includes(ascii(header, 8, 12))) {
+      const handlers = await readTrackHandlers(handle);
+      return handlers?.includes('soun') && !handlers.includes('vide') ? 'm4a' : null;
+    }
+    return format;
+  } finally {
+    await handle.close();
+  }
+}
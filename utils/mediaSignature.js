@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 2 * 60 * 60; // 2 hours, long enough for a full session
+
+/**
+ * Signing keys come from MEDIA_SIGNING_KEYS as "kid:secret" pairs separated by
+ * commas. MEDIA_SIGNING_KEY_ID selects the key used for new URLs (defaults to
+ * the first one); every listed key still verifies, so old links keep working
+ * while a rotated-out key remains in the list.
+ */
+const getSigningKeys = () => {
+  const keys = new Map();
+  for (const entry of (process.env.MEDIA_SIGNING_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+    }
+  }
+  // Fall back to the JWT secret so development setups work without extra config
+  if (!keys.size && process.env.JWT_SECRET) {
+    keys.set('default', process.env.JWT_SECRET);
+  }
+  return keys;
+};
+
+// Lifetime of signed media URLs, configurable via MEDIA_URL_TTL_SECONDS
+export const getMediaUrlTtl = () => Number(process.env.MEDIA_URL_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+const getActiveKeyId = (keys) => {
+  const configured = process.env.MEDIA_SIGNING_KEY_ID;
+  if (configured && keys.has(configured)) return configured;
+  return keys.keys().next().value;
+};
+
+const computeSignature = (secret, pathname, expires, userId, keyId) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${pathname}\n${expires}\n${userId}\n${keyId}`)
+    .digest('base64url');
+
+/**
+ * Append expiry, user id, key id and HMAC signature to a media path.
+ * Pass userId null for media that anyone may fetch (e.g. artwork).
+ */
+export function signMediaUrl(pathname, { userId = null, ttlSeconds } = {}) {
+  const keys = getSigningKeys();
+  const keyId = getActiveKeyId(keys);
+  if (!keyId) {
+    throw new Error('No media signing key configured (MEDIA_SIGNING_KEYS)');
+  }
+
+  const ttl = ttlSeconds || getMediaUrlTtl();
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const uid = userId ? String(userId) : '';
+  const sig = computeSignature(keys.get(keyId), pathname, expires, uid, keyId);
+
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (uid) params.set('uid', uid);
+  params.set('kid', keyId);
+  params.set('sig', sig);
+
+  return { url: `${pathname}?${params}`, expiresAt: new Date(expires * 1000) };
+}
+
+/**
+ * Verify the signature query parameters for a media path.
+ * Returns { valid: true, userId } or { valid: false, reason }.
+ */
+export function verifyMediaUrl(pathname, query = {}) {
+  const { expires, uid = '', kid, sig } = query;
+  if (!expires || !kid || !sig) {
+    return { valid: false, reason: 'missing signature parameters' };
+  }
+
+  const secret = getSigningKeys().get(kid);
+  if (!secret) {
+    return { valid: false, reason: 'unknown key id' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, pathname, expires, uid, kid));
+  const provided = Buffer.from(String(sig));
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'invalid signature' };
+  }
+
+  if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, userId: uid ? Number(uid) : null };
+}
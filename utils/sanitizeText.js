@@ -0,0 +1,8 @@
+import sanitizeHtml from 'sanitize-html';
+
+// Plain-text sanitizer for freeform text fields
+export default function sanitizeText(input = '') {
+  const trimmed = typeof input === 'string' ? input.trim() : '';
+  if (!trimmed) return '';
+  return sanitizeHtml(trimmed, { allowedTags: [], allowedAttributes: {} });
+}
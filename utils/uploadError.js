@@ -0,0 +1,12 @@
+// Error carrying the HTTP status to report for a rejected upload. `details`
+// are extra fields for the error body (e.g. the allowed formats).
+class UploadError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+export default UploadError;